@@ -1,20 +1,39 @@
 import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
 import ErrorBoundary from './components/ErrorBoundary';
 import PostList from './components/PostList';
 import PostForm from './components/PostForm';
+import AuthorPage from './components/AuthorPage';
+import AvatarPicker from './components/AvatarPicker';
+import TrashBin from './components/TrashBin';
+import SearchBox from './components/SearchBox';
+import TagCloud from './components/TagCloud';
 import Button from './components/Button';
 import usePosts from './hooks/usePosts';
-import { login, register } from './utils/api';
+import {
+  login,
+  logout,
+  register,
+  verifyTwoFactor,
+  storeAuthTokens,
+  clearAuthTokens,
+  restorePost,
+} from './utils/api';
 import './App.css';
 
 function App() {
-  const { posts, loading, error, createPost, updatePost, deletePost } = usePosts();
-  const [currentView, setCurrentView] = useState('list'); // 'list', 'create', 'edit'
+  const { posts, loading, error, fetchPosts, createPost, updatePost, deletePost } = usePosts();
+  const [currentView, setCurrentView] = useState('list'); // 'list', 'create', 'edit', 'author', 'profile', 'trash'
   const [editingPost, setEditingPost] = useState(null);
+  const [trashedPostId, setTrashedPostId] = useState(null);
+  const [selectedAuthor, setSelectedAuthor] = useState(null);
+  const [selectedTag, setSelectedTag] = useState(null);
   const [user, setUser] = useState(null);
-  const [authView, setAuthView] = useState('login'); // 'login', 'register'
-  const [authData, setAuthData] = useState({ username: '', email: '', password: '' });
+  const [authView, setAuthView] = useState('login'); // 'login', 'register', 'twoFactor'
+  const [authData, setAuthData] = useState({ username: '', email: '', password: '', code: '' });
+  const [challengeToken, setChallengeToken] = useState(null);
   const [authError, setAuthError] = useState('');
+  const navigate = useNavigate();
 
   useEffect(() => {
     // Check if user is logged in
@@ -36,21 +55,38 @@ function App() {
           email: authData.email,
           password: authData.password,
         });
+      } else if (authView === 'twoFactor') {
+        response = await verifyTwoFactor(challengeToken, authData.code);
       } else {
         response = await register(authData);
       }
 
-      localStorage.setItem('token', response.token);
-      setUser(response.user);
+      // Password accepted; ask for the authenticator or backup code
+      if (response.data.twoFactorRequired) {
+        setChallengeToken(response.data.challengeToken);
+        setAuthView('twoFactor');
+        return;
+      }
+
+      setChallengeToken(null);
+      storeAuthTokens(response.data);
+      setUser(response.data.user);
     } catch (err) {
       setAuthError(err.message);
     }
   };
 
-  const handleLogout = () => {
-    localStorage.removeItem('token');
-    setUser(null);
-    setCurrentView('list');
+  const handleLogout = async () => {
+    try {
+      // Revoke the session server-side so the tokens can't be reused
+      await logout();
+    } catch (err) {
+      // Still clear the local session if the server is unreachable
+    } finally {
+      clearAuthTokens();
+      setUser(null);
+      setCurrentView('list');
+    }
   };
 
   const handleCreatePost = async (postData) => {
@@ -77,59 +113,132 @@ function App() {
     setCurrentView('edit');
   };
 
+  const handleViewAuthor = (username) => {
+    setSelectedAuthor(username);
+    setCurrentView('author');
+  };
+
+  const handleSearch = (query) => {
+    setSelectedTag(null);
+    fetchPosts({ search: query });
+    setCurrentView('list');
+  };
+
+  // null clears the tag filter
+  const handleTagSelect = (tag) => {
+    setSelectedTag(tag);
+    fetchPosts(tag ? { tags: tag } : {});
+    setCurrentView('list');
+  };
+
+  const handleSuggestionSelect = (suggestion) => {
+    switch (suggestion.type) {
+      case 'post':
+        navigate(`/posts/${suggestion.slug}`);
+        break;
+      case 'author':
+        handleViewAuthor(suggestion.label);
+        break;
+      case 'category':
+        setSelectedTag(null);
+        fetchPosts({ category: suggestion.id });
+        setCurrentView('list');
+        break;
+      case 'tag':
+        handleTagSelect(suggestion.label);
+        break;
+      default:
+        handleSearch(suggestion.label);
+    }
+  };
+
   const handleDeletePost = async (postId) => {
-    if (window.confirm('Are you sure you want to delete this post?')) {
+    if (window.confirm('Move this post to the trash? You can restore it from the Trash later.')) {
       try {
         await deletePost(postId);
+        setTrashedPostId(postId);
       } catch (err) {
         // Error is handled in the hook
       }
     }
   };
 
+  const handleUndoDelete = async () => {
+    try {
+      await restorePost(trashedPostId);
+      setTrashedPostId(null);
+      fetchPosts();
+    } catch (err) {
+      // Post can still be restored from the Trash view
+    }
+  };
+
   if (!user) {
     return (
       <div className="auth-container">
         <div className="auth-form">
-          <h2>{authView === 'login' ? 'Login' : 'Register'}</h2>
-          <form onSubmit={handleAuthSubmit}>
-            {authView === 'register' && (
+          <h2>{{ login: 'Login', register: 'Register', twoFactor: 'Two-Factor Authentication' }[authView]}</h2>
+          {authView === 'twoFactor' ? (
+            <form onSubmit={handleAuthSubmit}>
               <div className="form-group">
-                <label>Username</label>
+                <label htmlFor="twoFactorCode">Authentication code</label>
                 <input
+                  id="twoFactorCode"
                   type="text"
-                  value={authData.username}
-                  onChange={(e) => setAuthData(prev => ({ ...prev, username: e.target.value }))}
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  placeholder="6-digit code or backup code"
+                  value={authData.code}
+                  onChange={(e) => setAuthData(prev => ({ ...prev, code: e.target.value }))}
                   required
                 />
               </div>
-            )}
-            <div className="form-group">
-              <label>Email</label>
-              <input
-                type="email"
-                value={authData.email}
-                onChange={(e) => setAuthData(prev => ({ ...prev, email: e.target.value }))}
-                required
-              />
-            </div>
-            <div className="form-group">
-              <label>Password</label>
-              <input
-                type="password"
-                value={authData.password}
-                onChange={(e) => setAuthData(prev => ({ ...prev, password: e.target.value }))}
-                required
-              />
-            </div>
-            {authError && <div className="error-message">{authError}</div>}
-            <Button type="submit">Submit</Button>
-          </form>
+              {authError && <div className="error-message">{authError}</div>}
+              <Button type="submit">Verify</Button>
+            </form>
+          ) : (
+            <form onSubmit={handleAuthSubmit}>
+              {authView === 'register' && (
+                <div className="form-group">
+                  <label>Username</label>
+                  <input
+                    type="text"
+                    value={authData.username}
+                    onChange={(e) => setAuthData(prev => ({ ...prev, username: e.target.value }))}
+                    required
+                  />
+                </div>
+              )}
+              <div className="form-group">
+                <label>Email</label>
+                <input
+                  type="email"
+                  value={authData.email}
+                  onChange={(e) => setAuthData(prev => ({ ...prev, email: e.target.value }))}
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label>Password</label>
+                <input
+                  type="password"
+                  value={authData.password}
+                  onChange={(e) => setAuthData(prev => ({ ...prev, password: e.target.value }))}
+                  required
+                />
+              </div>
+              {authError && <div className="error-message">{authError}</div>}
+              <Button type="submit">Submit</Button>
+            </form>
+          )}
           <Button
             variant="secondary"
-            onClick={() => setAuthView(authView === 'login' ? 'register' : 'login')}
+            onClick={() => {
+              setChallengeToken(null);
+              setAuthView(authView === 'login' ? 'register' : 'login');
+            }}
           >
-            Switch to {authView === 'login' ? 'Register' : 'Login'}
+            {authView === 'twoFactor' ? 'Back to Login' : `Switch to ${authView === 'login' ? 'Register' : 'Login'}`}
           </Button>
         </div>
       </div>
@@ -141,6 +250,7 @@ function App() {
       <div className="app">
         <header className="app-header">
           <h1>MERN Blog</h1>
+          <SearchBox onSelect={handleSuggestionSelect} onSearch={handleSearch} />
           <div className="user-info">
             <span>Welcome, {user.username}!</span>
             <Button variant="secondary" size="sm" onClick={handleLogout}>
@@ -162,24 +272,80 @@ function App() {
           >
             Create Post
           </Button>
+          <Button
+            variant={currentView === 'profile' ? 'primary' : 'secondary'}
+            onClick={() => setCurrentView('profile')}
+          >
+            My Profile
+          </Button>
+          <Button
+            variant={currentView === 'trash' ? 'primary' : 'secondary'}
+            onClick={() => setCurrentView('trash')}
+          >
+            Trash
+          </Button>
         </nav>
 
         <main className="app-main">
           {error && <div className="error-message">{error}</div>}
 
+          {trashedPostId && currentView === 'list' && (
+            <div className="undo-notice">
+              <span>Post moved to trash.</span>
+              <Button variant="secondary" size="sm" onClick={handleUndoDelete}>
+                Undo
+              </Button>
+            </div>
+          )}
+
+          {currentView === 'list' && (
+            <TagCloud onSelect={handleTagSelect} selectedTag={selectedTag} />
+          )}
+
           {currentView === 'list' && (
             <PostList
               posts={posts}
               onEdit={handleEditPost}
               onDelete={handleDeletePost}
+              onAuthorClick={handleViewAuthor}
               isLoading={loading}
             />
           )}
 
+          {currentView === 'author' && selectedAuthor && (
+            <AuthorPage
+              username={selectedAuthor}
+              onBack={() => setCurrentView('list')}
+            />
+          )}
+
+          {currentView === 'profile' && (
+            <div className="form-container">
+              <h2>My Profile</h2>
+              <AvatarPicker
+                currentAvatar={user.profile?.avatar}
+                onUploaded={setUser}
+              />
+            </div>
+          )}
+
+          {currentView === 'trash' && (
+            <TrashBin
+              onRestored={() => {
+                setTrashedPostId(null);
+                fetchPosts();
+              }}
+            />
+          )}
+
           {currentView === 'create' && (
             <div className="form-container">
               <h2>Create New Post</h2>
-              <PostForm onSubmit={handleCreatePost} isLoading={loading} />
+              <PostForm
+                onSubmit={handleCreatePost}
+                isLoading={loading}
+                canCreateCategory={user.role === 'admin'}
+              />
             </div>
           )}
 
@@ -190,6 +356,7 @@ function App() {
                 onSubmit={handleUpdatePost}
                 initialData={editingPost}
                 isLoading={loading}
+                canCreateCategory={user.role === 'admin'}
               />
             </div>
           )}
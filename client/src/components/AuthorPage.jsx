@@ -0,0 +1,105 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import Button from './Button';
+import { getUserProfile, resolveAssetUrl } from '../utils/api';
+
+const AuthorPage = ({ username, onBack }) => {
+  const [author, setAuthor] = useState(null);
+  const [stats, setStats] = useState(null);
+  const [recentPosts, setRecentPosts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchProfile = async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const response = await getUserProfile(username);
+        if (!cancelled) {
+          setAuthor(response.data.author);
+          setStats(response.data.stats);
+          setRecentPosts(response.data.recentPosts);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.message);
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    fetchProfile();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [username]);
+
+  if (loading) {
+    return <div className="loading">Loading author...</div>;
+  }
+
+  if (error) {
+    return (
+      <div className="author-page">
+        <div className="error-message">{error}</div>
+        <Button variant="secondary" onClick={onBack}>Back to Posts</Button>
+      </div>
+    );
+  }
+
+  const { firstName, lastName, bio, avatar } = author.profile || {};
+  const fullName = [firstName, lastName].filter(Boolean).join(' ');
+
+  return (
+    <div className="author-page">
+      <div className="author-header">
+        {avatar && <img className="author-avatar" src={resolveAssetUrl(avatar)} alt={`${author.username}'s avatar`} />}
+        <div>
+          <h2>{fullName || author.username}</h2>
+          {fullName && <p className="author-username">@{author.username}</p>}
+          {bio && <p className="author-bio">{bio}</p>}
+          <div className="author-stats">
+            <span>{stats.postCount} {stats.postCount === 1 ? 'post' : 'posts'}</span>
+            <span>{stats.totalLikes} {stats.totalLikes === 1 ? 'like' : 'likes'}</span>
+            <span>Joined {new Date(author.joinedAt).toLocaleDateString()}</span>
+          </div>
+        </div>
+      </div>
+
+      <h3>Recent Posts</h3>
+      {recentPosts.length === 0 ? (
+        <div className="no-posts">No published posts yet.</div>
+      ) : (
+        <div className="post-list">
+          {recentPosts.map(post => (
+            <div key={post._id} className="post-card">
+              <h3>{post.title}</h3>
+              <p className="post-content">{post.content.substring(0, 150)}...</p>
+              <div className="post-meta">
+                <span>Category: {post.category?.name || 'Uncategorized'}</span>
+                <span>Published: {new Date(post.publishedAt).toLocaleDateString()}</span>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <Button variant="secondary" onClick={onBack}>Back to Posts</Button>
+    </div>
+  );
+};
+
+AuthorPage.propTypes = {
+  username: PropTypes.string.isRequired,
+  onBack: PropTypes.func.isRequired,
+};
+
+export default AuthorPage;
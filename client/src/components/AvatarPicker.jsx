@@ -0,0 +1,114 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import Button from './Button';
+import { uploadAvatar, resolveAssetUrl } from '../utils/api';
+
+const ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const MAX_SIZE_MB = 2;
+
+const AvatarPicker = ({ currentAvatar, onUploaded }) => {
+  const [file, setFile] = useState(null);
+  const [previewUrl, setPreviewUrl] = useState(null);
+  const [error, setError] = useState('');
+  const [isUploading, setIsUploading] = useState(false);
+
+  // Release the object URL when the preview changes or the picker unmounts
+  useEffect(() => {
+    return () => {
+      if (previewUrl) {
+        URL.revokeObjectURL(previewUrl);
+      }
+    };
+  }, [previewUrl]);
+
+  const handleFileChange = (e) => {
+    const selected = e.target.files[0];
+    setError('');
+
+    if (!selected) {
+      return;
+    }
+
+    if (!ACCEPTED_TYPES.includes(selected.type)) {
+      setError('Please choose a JPEG, PNG, WebP or GIF image');
+      return;
+    }
+
+    if (selected.size > MAX_SIZE_MB * 1024 * 1024) {
+      setError(`Image cannot exceed ${MAX_SIZE_MB}MB`);
+      return;
+    }
+
+    setFile(selected);
+    setPreviewUrl(URL.createObjectURL(selected));
+  };
+
+  const handleCancel = () => {
+    setFile(null);
+    setPreviewUrl(null);
+    setError('');
+  };
+
+  const handleUpload = async () => {
+    setIsUploading(true);
+    setError('');
+
+    try {
+      const response = await uploadAvatar(file);
+      setFile(null);
+      setPreviewUrl(null);
+      if (onUploaded) {
+        onUploaded(response.data.user);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const displayedAvatar = previewUrl || resolveAssetUrl(currentAvatar);
+
+  return (
+    <div className="avatar-picker">
+      <div className="avatar-preview">
+        {displayedAvatar ? (
+          <img src={displayedAvatar} alt={previewUrl ? 'New avatar preview' : 'Current avatar'} />
+        ) : (
+          <div className="avatar-placeholder">No avatar</div>
+        )}
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="avatar">Choose an image</label>
+        <input
+          id="avatar"
+          type="file"
+          accept={ACCEPTED_TYPES.join(',')}
+          onChange={handleFileChange}
+          disabled={isUploading}
+        />
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {file && (
+        <div className="avatar-actions">
+          <Button onClick={handleUpload} disabled={isUploading}>
+            {isUploading ? 'Uploading...' : 'Save Avatar'}
+          </Button>
+          <Button variant="secondary" onClick={handleCancel} disabled={isUploading}>
+            Cancel
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+AvatarPicker.propTypes = {
+  currentAvatar: PropTypes.string,
+  onUploaded: PropTypes.func,
+};
+
+export default AvatarPicker;
@@ -1,14 +1,85 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import PropTypes from 'prop-types';
 import Button from './Button';
+import TagInput from './TagInput';
+import { previewPost, getCategoryTree, createCategory } from '../utils/api';
 
-const PostForm = ({ onSubmit, initialData = {}, isLoading = false }) => {
+// Wait for a pause in typing before re-rendering the preview
+const PREVIEW_DELAY_MS = 300;
+
+const DEFAULT_CATEGORY_COLOR = '#007bff';
+
+const EMPTY_NEW_CATEGORY = { name: '', color: DEFAULT_CATEGORY_COLOR, parent: '' };
+
+// Flatten the category tree into select options, keeping each category's depth
+const flattenTree = (nodes, depth = 0) => nodes.flatMap(node => [
+  { ...node, depth },
+  ...flattenTree(node.children || [], depth + 1),
+]);
+
+// Indent subcategories so the hierarchy shows inside a plain <select>
+const categoryOptionLabel = category =>
+  `${'\u00a0\u00a0'.repeat(category.depth)}${category.depth > 0 ? '└ ' : ''}${category.name}`;
+
+const PostForm = ({ onSubmit, initialData = {}, isLoading = false, canCreateCategory = false }) => {
   const [formData, setFormData] = useState({
     title: initialData.title || '',
     content: initialData.content || '',
-    category: initialData.category || '',
+    // Posts loaded from the API have their category populated
+    category: initialData.category?._id || initialData.category || '',
+    tags: initialData.tags || [],
   });
   const [errors, setErrors] = useState({});
+  const [showPreview, setShowPreview] = useState(false);
+  const [previewHtml, setPreviewHtml] = useState('');
+  const [previewError, setPreviewError] = useState('');
+  const [categories, setCategories] = useState([]);
+  const [categoriesError, setCategoriesError] = useState('');
+  const [showNewCategory, setShowNewCategory] = useState(false);
+  const [newCategory, setNewCategory] = useState(EMPTY_NEW_CATEGORY);
+  const [newCategoryError, setNewCategoryError] = useState('');
+  const [creatingCategory, setCreatingCategory] = useState(false);
+
+  const loadCategories = useCallback(async () => {
+    try {
+      const response = await getCategoryTree();
+      setCategories(flattenTree(response.data.tree));
+      setCategoriesError('');
+    } catch (err) {
+      setCategoriesError('Could not load categories');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadCategories();
+  }, [loadCategories]);
+
+  useEffect(() => {
+    if (!showPreview) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        // Rendered by the server so the preview matches the published post
+        const response = await previewPost(formData.content);
+        if (!cancelled) {
+          setPreviewHtml(response.data.contentHtml);
+          setPreviewError('');
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setPreviewError(err.message);
+        }
+      }
+    }, PREVIEW_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [showPreview, formData.content]);
 
   const validateForm = () => {
     const newErrors = {};
@@ -49,6 +120,42 @@ const PostForm = ({ onSubmit, initialData = {}, isLoading = false }) => {
     }
   };
 
+  const handleCreateCategory = async () => {
+    if (!newCategory.name.trim()) {
+      setNewCategoryError('Category name is required');
+      return;
+    }
+
+    setCreatingCategory(true);
+    try {
+      const response = await createCategory({
+        name: newCategory.name.trim(),
+        color: newCategory.color,
+        parent: newCategory.parent || null,
+      });
+      await loadCategories();
+
+      setFormData(prev => ({ ...prev, category: response.data.category._id }));
+      setErrors(prev => ({ ...prev, category: '' }));
+      setNewCategory(EMPTY_NEW_CATEGORY);
+      setNewCategoryError('');
+      setShowNewCategory(false);
+    } catch (err) {
+      setNewCategoryError(err.message);
+    } finally {
+      setCreatingCategory(false);
+    }
+  };
+
+  const openNewCategory = () => {
+    // Suggest the selected category as the parent; "Top level" stays one click away
+    setNewCategory({ ...EMPTY_NEW_CATEGORY, parent: formData.category });
+    setShowNewCategory(true);
+  };
+
+  const selectedCategory = categories.find(category => category._id === formData.category);
+  const newCategoryParent = categories.find(category => category._id === newCategory.parent);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -63,6 +170,7 @@ const PostForm = ({ onSubmit, initialData = {}, isLoading = false }) => {
         title: '',
         content: '',
         category: '',
+        tags: [],
       });
       setErrors({});
     } catch (error) {
@@ -89,20 +197,94 @@ const PostForm = ({ onSubmit, initialData = {}, isLoading = false }) => {
 
       <div className="form-group">
         <label htmlFor="category">Category</label>
-        <select
-          id="category"
-          name="category"
-          value={formData.category}
-          onChange={handleChange}
-          className={errors.category ? 'error' : ''}
-        >
-          <option value="">Select a category</option>
-          <option value="technology">Technology</option>
-          <option value="lifestyle">Lifestyle</option>
-          <option value="business">Business</option>
-          <option value="health">Health</option>
-        </select>
+        <div className="category-select">
+          <span
+            className="category-swatch"
+            data-testid="category-swatch"
+            style={{ backgroundColor: selectedCategory ? selectedCategory.color : 'transparent' }}
+          />
+          <select
+            id="category"
+            name="category"
+            value={formData.category}
+            onChange={handleChange}
+            className={errors.category ? 'error' : ''}
+          >
+            <option value="">Select a category</option>
+            {categories.map(category => (
+              <option key={category._id} value={category._id} style={{ color: category.color }}>
+                {categoryOptionLabel(category)}
+              </option>
+            ))}
+          </select>
+          {canCreateCategory && !showNewCategory && (
+            <Button type="button" variant="secondary" size="sm" onClick={openNewCategory}>
+              New category
+            </Button>
+          )}
+        </div>
         {errors.category && <span className="error-message">{errors.category}</span>}
+        {categoriesError && <span className="error-message">{categoriesError}</span>}
+        {showNewCategory && (
+          <div className="new-category">
+            <input
+              type="text"
+              aria-label="New category name"
+              value={newCategory.name}
+              onChange={(e) => setNewCategory(prev => ({ ...prev, name: e.target.value }))}
+              onKeyDown={(e) => {
+                // Don't submit the post form
+                if (e.key === 'Enter') {
+                  e.preventDefault();
+                  handleCreateCategory();
+                }
+              }}
+              placeholder={newCategoryParent ? `Subcategory of ${newCategoryParent.name}` : 'Category name'}
+            />
+            <select
+              aria-label="New category parent"
+              value={newCategory.parent}
+              onChange={(e) => setNewCategory(prev => ({ ...prev, parent: e.target.value }))}
+            >
+              <option value="">Top level</option>
+              {categories.map(category => (
+                <option key={category._id} value={category._id}>
+                  {categoryOptionLabel(category)}
+                </option>
+              ))}
+            </select>
+            <input
+              type="color"
+              aria-label="New category colour"
+              value={newCategory.color}
+              onChange={(e) => setNewCategory(prev => ({ ...prev, color: e.target.value }))}
+            />
+            <Button type="button" size="sm" onClick={handleCreateCategory} disabled={creatingCategory}>
+              {creatingCategory ? 'Adding...' : 'Add'}
+            </Button>
+            <Button
+              type="button"
+              variant="secondary"
+              size="sm"
+              onClick={() => {
+                setShowNewCategory(false);
+                setNewCategoryError('');
+              }}
+            >
+              Cancel
+            </Button>
+            {newCategoryError && <span className="error-message">{newCategoryError}</span>}
+          </div>
+        )}
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="tags">Tags</label>
+        <TagInput
+          id="tags"
+          tags={formData.tags}
+          onChange={(tags) => setFormData(prev => ({ ...prev, tags }))}
+        />
       </div>
 
       <div className="form-group">
@@ -113,10 +295,24 @@ const PostForm = ({ onSubmit, initialData = {}, isLoading = false }) => {
           value={formData.content}
           onChange={handleChange}
           className={errors.content ? 'error' : ''}
-          placeholder="Enter post content"
+          placeholder="Enter post content (Markdown supported)"
           rows={6}
         />
         {errors.content && <span className="error-message">{errors.content}</span>}
+        <label className="preview-toggle">
+          <input type="checkbox" checked={showPreview} onChange={(e) => setShowPreview(e.target.checked)} />
+          Preview
+        </label>
+        {showPreview && (previewError ? (
+          <div className="error-message">{previewError}</div>
+        ) : (
+          // previewHtml is sanitised by the server
+          <div
+            className="markdown-preview markdown-body"
+            data-testid="markdown-preview"
+            dangerouslySetInnerHTML={{ __html: previewHtml }}
+          />
+        ))}
       </div>
 
       {errors.submit && <div className="error-message submit-error">{errors.submit}</div>}
@@ -133,9 +329,14 @@ PostForm.propTypes = {
   initialData: PropTypes.shape({
     title: PropTypes.string,
     content: PropTypes.string,
-    category: PropTypes.string,
+    category: PropTypes.oneOfType([
+      PropTypes.string,
+      PropTypes.shape({ _id: PropTypes.string }),
+    ]),
+    tags: PropTypes.arrayOf(PropTypes.string),
   }),
   isLoading: PropTypes.bool,
+  canCreateCategory: PropTypes.bool,
 };
 
 export default PostForm;
@@ -1,8 +1,9 @@
 import React from 'react';
 import PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
 import Button from './Button';
 
-const PostList = ({ posts, onEdit, onDelete, isLoading = false }) => {
+const PostList = ({ posts, onEdit, onDelete, onAuthorClick, isLoading = false }) => {
   if (isLoading) {
     return <div className="loading">Loading posts...</div>;
   }
@@ -15,11 +16,26 @@ const PostList = ({ posts, onEdit, onDelete, isLoading = false }) => {
     <div className="post-list">
       {posts.map(post => (
         <div key={post._id} className="post-card">
-          <h3>{post.title}</h3>
+          <h3>
+            {post.slug ? <Link to={`/posts/${post.slug}`}>{post.title}</Link> : post.title}
+          </h3>
           <p className="post-category">Category: {post.category}</p>
-          <p className="post-content">{post.content.substring(0, 150)}...</p>
+          <p className="post-content">{post.excerpt || `${post.content.substring(0, 150)}...`}</p>
           <div className="post-meta">
-            <span>By: {post.author?.username || 'Unknown'}</span>
+            <span>
+              By:{' '}
+              {post.author?.username && onAuthorClick ? (
+                <button
+                  type="button"
+                  className="author-link"
+                  onClick={() => onAuthorClick(post.author.username)}
+                >
+                  {post.author.username}
+                </button>
+              ) : (
+                post.author?.username || 'Unknown'
+              )}
+            </span>
             <span>Created: {new Date(post.createdAt).toLocaleDateString()}</span>
           </div>
           <div className="post-actions">
@@ -49,7 +65,9 @@ PostList.propTypes = {
     PropTypes.shape({
       _id: PropTypes.string.isRequired,
       title: PropTypes.string.isRequired,
+      slug: PropTypes.string,
       content: PropTypes.string.isRequired,
+      excerpt: PropTypes.string,
       category: PropTypes.string.isRequired,
       author: PropTypes.shape({
         username: PropTypes.string,
@@ -59,6 +77,7 @@ PostList.propTypes = {
   ),
   onEdit: PropTypes.func.isRequired,
   onDelete: PropTypes.func.isRequired,
+  onAuthorClick: PropTypes.func,
   isLoading: PropTypes.bool,
 };
 
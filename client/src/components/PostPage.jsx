@@ -0,0 +1,94 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import ErrorBoundary from './ErrorBoundary';
+import { getPostBySlug } from '../utils/api';
+
+const PostPage = () => {
+  const { slug } = useParams();
+  const navigate = useNavigate();
+  const [post, setPost] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchPost = async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const response = await getPostBySlug(slug);
+        if (cancelled) {
+          return;
+        }
+
+        // The post was renamed; move to its current URL so links stay canonical
+        if (response.data.redirect) {
+          navigate(`/posts/${response.data.redirect.to}`, { replace: true });
+          return;
+        }
+
+        setPost(response.data.post);
+        setLoading(false);
+        document.title = `${response.data.post.title} | MERN Blog`;
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.status === 404 ? 'Post not found.' : err.message);
+          setLoading(false);
+        }
+      }
+    };
+
+    fetchPost();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [slug, navigate]);
+
+  let body;
+  if (loading) {
+    body = <div className="loading">Loading post...</div>;
+  } else if (error) {
+    body = <div className="error-message">{error}</div>;
+  } else {
+    body = (
+      <article className="post-page">
+        <h2>{post.title}</h2>
+        <div className="post-meta">
+          <span>By: {post.author?.username || 'Unknown'}</span>
+          <span>Category: {post.category?.name || 'Uncategorized'}</span>
+          {post.publishedAt && <span>Published: {new Date(post.publishedAt).toLocaleDateString()}</span>}
+        </div>
+        {post.contentHtml ? (
+          // contentHtml is sanitised by the server when the post is saved
+          <div className="post-body markdown-body" dangerouslySetInnerHTML={{ __html: post.contentHtml }} />
+        ) : (
+          <div className="post-body">{post.content}</div>
+        )}
+        {post.tags?.length > 0 && (
+          <div className="post-tags">
+            {post.tags.map(tag => <span key={tag} className="post-tag">#{tag}</span>)}
+          </div>
+        )}
+      </article>
+    );
+  }
+
+  return (
+    <ErrorBoundary>
+      <div className="app">
+        <header className="app-header">
+          <h1>MERN Blog</h1>
+        </header>
+        <main className="app-main">
+          {body}
+          <Link className="back-link" to="/">Back to Posts</Link>
+        </main>
+      </div>
+    </ErrorBoundary>
+  );
+};
+
+export default PostPage;
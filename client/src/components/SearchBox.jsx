@@ -0,0 +1,135 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { getSearchSuggestions } from '../utils/api';
+
+// Wait for a pause in typing before asking the server for suggestions
+const SUGGEST_DELAY_MS = 250;
+
+const TYPE_LABELS = {
+  post: 'Post',
+  tag: 'Tag',
+  category: 'Category',
+  author: 'Author',
+};
+
+const SearchBox = ({ onSelect, onSearch }) => {
+  const [query, setQuery] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [isOpen, setIsOpen] = useState(false);
+
+  useEffect(() => {
+    const trimmed = query.trim();
+    if (!trimmed) {
+      setSuggestions([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await getSearchSuggestions(trimmed);
+        if (!cancelled) {
+          setSuggestions(response.data.suggestions);
+          setActiveIndex(-1);
+        }
+      } catch (err) {
+        // Suggestions are a convenience; searching still works without them
+        if (!cancelled) {
+          setSuggestions([]);
+        }
+      }
+    }, SUGGEST_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  const close = () => {
+    setIsOpen(false);
+    setActiveIndex(-1);
+  };
+
+  const selectSuggestion = (suggestion) => {
+    close();
+    setQuery('');
+    onSelect(suggestion);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && suggestions.length > 0) {
+      e.preventDefault();
+      setIsOpen(true);
+      setActiveIndex(index => (index + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp' && suggestions.length > 0) {
+      e.preventDefault();
+      setActiveIndex(index => (index <= 0 ? suggestions.length - 1 : index - 1));
+    } else if (e.key === 'Escape') {
+      close();
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (isOpen && activeIndex >= 0) {
+      selectSuggestion(suggestions[activeIndex]);
+    } else if (query.trim()) {
+      close();
+      onSearch(query.trim());
+    }
+  };
+
+  const showSuggestions = isOpen && suggestions.length > 0;
+
+  return (
+    <form className="search-box" role="search" onSubmit={handleSubmit}>
+      <input
+        type="search"
+        placeholder="Search posts, tags, authors..."
+        aria-label="Search"
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={showSuggestions}
+        aria-controls="search-suggestions"
+        aria-activedescendant={activeIndex >= 0 ? `search-suggestion-${activeIndex}` : undefined}
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setIsOpen(true);
+        }}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setIsOpen(true)}
+        onBlur={close}
+      />
+      {showSuggestions && (
+        <ul id="search-suggestions" className="search-suggestions" role="listbox">
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={`${suggestion.type}-${suggestion.label}`}
+              id={`search-suggestion-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={index === activeIndex ? 'active' : ''}
+              // Keep focus in the input so blur doesn't close the list before the click lands
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => selectSuggestion(suggestion)}
+            >
+              <span className="suggestion-label">{suggestion.label}</span>
+              <span className="suggestion-type">{TYPE_LABELS[suggestion.type]}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </form>
+  );
+};
+
+SearchBox.propTypes = {
+  onSelect: PropTypes.func.isRequired,
+  onSearch: PropTypes.func.isRequired,
+};
+
+export default SearchBox;
@@ -0,0 +1,75 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { getTags } from '../utils/api';
+
+const CLOUD_SIZE = 30;
+// Font sizes (px) for the least and most used tags
+const MIN_FONT_SIZE = 12;
+const MAX_FONT_SIZE = 24;
+
+// Scale a tag's font size by its usage relative to the other tags shown
+const getFontSize = (count, min, max) => {
+  if (max === min) {
+    return MIN_FONT_SIZE;
+  }
+  return Math.round(MIN_FONT_SIZE + ((count - min) / (max - min)) * (MAX_FONT_SIZE - MIN_FONT_SIZE));
+};
+
+const TagCloud = ({ onSelect, selectedTag = null }) => {
+  const [tags, setTags] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchTags = async () => {
+      try {
+        // Most used tags, shown alphabetically
+        const response = await getTags({ limit: CLOUD_SIZE });
+        if (!cancelled) {
+          setTags([...response.data.tags].sort((a, b) => a.name.localeCompare(b.name)));
+        }
+      } catch (err) {
+        // The cloud is optional; leave it empty if tags can't be loaded
+      }
+    };
+
+    fetchTags();
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  if (tags.length === 0) {
+    return null;
+  }
+
+  const counts = tags.map(tag => tag.count);
+  const min = Math.min(...counts);
+  const max = Math.max(...counts);
+
+  return (
+    <div className="tag-cloud" aria-label="Tags">
+      {tags.map(tag => (
+        <button
+          key={tag.name}
+          type="button"
+          className={`tag-cloud-item${tag.name === selectedTag ? ' active' : ''}`}
+          style={{ fontSize: `${getFontSize(tag.count, min, max)}px` }}
+          title={`${tag.count} ${tag.count === 1 ? 'post' : 'posts'}`}
+          aria-pressed={tag.name === selectedTag}
+          onClick={() => onSelect(tag.name === selectedTag ? null : tag.name)}
+        >
+          {tag.name}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+TagCloud.propTypes = {
+  onSelect: PropTypes.func.isRequired,
+  selectedTag: PropTypes.string,
+};
+
+export default TagCloud;
@@ -0,0 +1,149 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { getTags } from '../utils/api';
+
+// Wait for a pause in typing before asking the server for matching tags
+const SUGGEST_DELAY_MS = 250;
+const SUGGESTION_LIMIT = 8;
+const MAX_TAG_LENGTH = 30;
+
+// Tags are stored trimmed and lowercase on the server
+const normalizeTag = (tag) => tag.trim().toLowerCase();
+
+const TagInput = ({ id, tags, onChange }) => {
+  const [input, setInput] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [isOpen, setIsOpen] = useState(false);
+
+  useEffect(() => {
+    const trimmed = normalizeTag(input);
+    if (!trimmed) {
+      setSuggestions([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await getTags({ q: trimmed, limit: SUGGESTION_LIMIT });
+        if (!cancelled) {
+          setSuggestions(response.data.tags.filter(tag => !tags.includes(tag.name)));
+          setActiveIndex(-1);
+        }
+      } catch (err) {
+        // New tags can still be typed in without suggestions
+        if (!cancelled) {
+          setSuggestions([]);
+        }
+      }
+    }, SUGGEST_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [input, tags]);
+
+  const close = () => {
+    setIsOpen(false);
+    setActiveIndex(-1);
+  };
+
+  const addTag = (value) => {
+    const tag = normalizeTag(value).slice(0, MAX_TAG_LENGTH);
+    if (tag && !tags.includes(tag)) {
+      onChange([...tags, tag]);
+    }
+    setInput('');
+    close();
+  };
+
+  const removeTag = (tag) => {
+    onChange(tags.filter(existing => existing !== tag));
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && suggestions.length > 0) {
+      e.preventDefault();
+      setIsOpen(true);
+      setActiveIndex(index => (index + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp' && suggestions.length > 0) {
+      e.preventDefault();
+      setActiveIndex(index => (index <= 0 ? suggestions.length - 1 : index - 1));
+    } else if (e.key === 'Enter' || e.key === ',') {
+      // Don't submit the surrounding form
+      e.preventDefault();
+      addTag(isOpen && activeIndex >= 0 ? suggestions[activeIndex].name : input);
+    } else if (e.key === 'Backspace' && !input && tags.length > 0) {
+      removeTag(tags[tags.length - 1]);
+    } else if (e.key === 'Escape') {
+      close();
+    }
+  };
+
+  const showSuggestions = isOpen && suggestions.length > 0;
+
+  return (
+    <div className="tag-input">
+      {tags.map(tag => (
+        <span key={tag} className="tag-chip">
+          {tag}
+          <button type="button" aria-label={`Remove ${tag}`} onClick={() => removeTag(tag)}>
+            ×
+          </button>
+        </span>
+      ))}
+      <input
+        id={id}
+        type="text"
+        placeholder={tags.length > 0 ? '' : 'Add tags'}
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={showSuggestions}
+        aria-controls="tag-suggestions"
+        aria-activedescendant={activeIndex >= 0 ? `tag-suggestion-${activeIndex}` : undefined}
+        value={input}
+        onChange={(e) => {
+          setInput(e.target.value);
+          setIsOpen(true);
+        }}
+        onKeyDown={handleKeyDown}
+        onBlur={() => {
+          // Keep a half-typed tag rather than silently dropping it
+          if (input.trim()) {
+            addTag(input);
+          }
+          close();
+        }}
+      />
+      {showSuggestions && (
+        <ul id="tag-suggestions" className="tag-suggestions" role="listbox">
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={suggestion.name}
+              id={`tag-suggestion-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={index === activeIndex ? 'active' : ''}
+              // Keep focus in the input so blur doesn't close the list before the click lands
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => addTag(suggestion.name)}
+            >
+              <span className="suggestion-label">{suggestion.name}</span>
+              <span className="suggestion-type">{suggestion.count}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+TagInput.propTypes = {
+  id: PropTypes.string,
+  tags: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onChange: PropTypes.func.isRequired,
+};
+
+export default TagInput;
@@ -0,0 +1,96 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import Button from './Button';
+import { getTrash, restorePost, purgePost } from '../utils/api';
+
+const TrashBin = ({ onRestored }) => {
+  const [posts, setPosts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchTrash = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await getTrash();
+      setPosts(response.data.posts);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  const handleRestore = async (postId) => {
+    setError(null);
+
+    try {
+      const response = await restorePost(postId);
+      setPosts(prevPosts => prevPosts.filter(post => post._id !== postId));
+      if (onRestored) {
+        onRestored(response.data.post);
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handlePurge = async (postId) => {
+    if (!window.confirm('Permanently delete this post? This cannot be undone.')) {
+      return;
+    }
+    setError(null);
+
+    try {
+      await purgePost(postId);
+      setPosts(prevPosts => prevPosts.filter(post => post._id !== postId));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (loading) {
+    return <div className="loading">Loading trash...</div>;
+  }
+
+  return (
+    <div className="trash-bin">
+      <h2>Trash</h2>
+      {error && <div className="error-message">{error}</div>}
+      {posts.length === 0 ? (
+        <div className="no-posts">The trash is empty.</div>
+      ) : (
+        <div className="post-list">
+          {posts.map(post => (
+            <div key={post._id} className="post-card">
+              <h3>{post.title}</h3>
+              <div className="post-meta">
+                <span>Deleted: {new Date(post.deletedAt).toLocaleDateString()}</span>
+                <span>Removed for good on {new Date(post.purgeAt).toLocaleDateString()}</span>
+              </div>
+              <div className="post-actions">
+                <Button variant="secondary" size="sm" onClick={() => handleRestore(post._id)}>
+                  Restore
+                </Button>
+                <Button variant="danger" size="sm" onClick={() => handlePurge(post._id)}>
+                  Delete forever
+                </Button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+TrashBin.propTypes = {
+  onRestored: PropTypes.func,
+};
+
+export default TrashBin;
@@ -0,0 +1,64 @@
+// AuthorPage.test.jsx - Unit test for AuthorPage component
+
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import AuthorPage from '../../components/AuthorPage';
+import { getUserProfile } from '../../utils/api';
+
+jest.mock('../../utils/api', () => ({
+  getUserProfile: jest.fn(),
+  resolveAssetUrl: (path) => path,
+}));
+
+const profileResponse = {
+  success: true,
+  data: {
+    author: {
+      username: 'janedoe',
+      profile: { firstName: 'Jane', lastName: 'Doe', bio: 'Writes about JavaScript' },
+      joinedAt: '2024-01-01T00:00:00.000Z',
+    },
+    stats: { postCount: 1, totalLikes: 3 },
+    recentPosts: [
+      {
+        _id: '1',
+        title: 'Getting Started with React',
+        content: 'React is a library for building user interfaces.',
+        category: { name: 'Technology' },
+        publishedAt: '2024-02-01T00:00:00.000Z',
+      },
+    ],
+  },
+};
+
+describe('AuthorPage Component', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('renders the author profile, stats and recent posts', async () => {
+    getUserProfile.mockResolvedValueOnce(profileResponse);
+
+    render(<AuthorPage username="janedoe" onBack={jest.fn()} />);
+
+    expect(await screen.findByRole('heading', { name: 'Jane Doe' })).toBeInTheDocument();
+    expect(screen.getByText('@janedoe')).toBeInTheDocument();
+    expect(screen.getByText('Writes about JavaScript')).toBeInTheDocument();
+    expect(screen.getByText('1 post')).toBeInTheDocument();
+    expect(screen.getByText('3 likes')).toBeInTheDocument();
+    expect(screen.getByText('Getting Started with React')).toBeInTheDocument();
+    expect(getUserProfile).toHaveBeenCalledWith('janedoe');
+  });
+
+  it('shows an error when the author cannot be loaded', async () => {
+    getUserProfile.mockRejectedValueOnce(new Error('User not found'));
+    const handleBack = jest.fn();
+
+    render(<AuthorPage username="nobody" onBack={handleBack} />);
+
+    expect(await screen.findByText('User not found')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: /back to posts/i }));
+    expect(handleBack).toHaveBeenCalled();
+  });
+});
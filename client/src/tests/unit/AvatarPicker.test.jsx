@@ -0,0 +1,68 @@
+// AvatarPicker.test.jsx - Unit test for AvatarPicker component
+
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import AvatarPicker from '../../components/AvatarPicker';
+import { uploadAvatar } from '../../utils/api';
+
+jest.mock('../../utils/api', () => ({
+  uploadAvatar: jest.fn(),
+  resolveAssetUrl: (path) => path && `http://localhost:5000${path}`,
+}));
+
+describe('AvatarPicker Component', () => {
+  beforeEach(() => {
+    // jsdom doesn't implement object URLs
+    URL.createObjectURL = jest.fn(() => 'blob:preview');
+    URL.revokeObjectURL = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const chooseFile = (file) => {
+    fireEvent.change(screen.getByLabelText(/choose an image/i), { target: { files: [file] } });
+  };
+
+  it('shows the current avatar', () => {
+    render(<AvatarPicker currentAvatar="/uploads/avatars/1/large.webp" />);
+
+    expect(screen.getByAltText('Current avatar')).toHaveAttribute('src', 'http://localhost:5000/uploads/avatars/1/large.webp');
+  });
+
+  it('previews the selected image before uploading', () => {
+    render(<AvatarPicker />);
+
+    chooseFile(new File(['image'], 'avatar.png', { type: 'image/png' }));
+
+    expect(screen.getByAltText('New avatar preview')).toHaveAttribute('src', 'blob:preview');
+    expect(screen.getByRole('button', { name: /save avatar/i })).toBeInTheDocument();
+  });
+
+  it('rejects unsupported file types', () => {
+    render(<AvatarPicker />);
+
+    chooseFile(new File(['text'], 'notes.txt', { type: 'text/plain' }));
+
+    expect(screen.getByText('Please choose a JPEG, PNG, WebP or GIF image')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /save avatar/i })).not.toBeInTheDocument();
+  });
+
+  it('uploads the selected image', async () => {
+    const updatedUser = { username: 'testuser', profile: { avatar: '/uploads/new.webp' } };
+    uploadAvatar.mockResolvedValueOnce({ success: true, data: { user: updatedUser } });
+    const handleUploaded = jest.fn();
+    const file = new File(['image'], 'avatar.png', { type: 'image/png' });
+
+    render(<AvatarPicker onUploaded={handleUploaded} />);
+
+    chooseFile(file);
+    fireEvent.click(screen.getByRole('button', { name: /save avatar/i }));
+
+    expect(await screen.findByText('No avatar')).toBeInTheDocument();
+    expect(uploadAvatar).toHaveBeenCalledWith(file);
+    expect(handleUploaded).toHaveBeenCalledWith(updatedUser);
+  });
+});
@@ -2,6 +2,7 @@ import React from 'react';
 import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import '@testing-library/jest-dom';
 import PostForm from '../../components/PostForm';
+import { previewPost, getCategoryTree, createCategory } from '../../utils/api';
 
 // Mock the validation utility
 jest.mock('../../utils/validation', () => ({
@@ -10,6 +11,28 @@ jest.mock('../../utils/validation', () => ({
 
 import { validatePost } from '../../utils/validation';
 
+jest.mock('../../utils/api', () => ({
+  previewPost: jest.fn(),
+  getCategoryTree: jest.fn(),
+  createCategory: jest.fn(),
+  getTags: jest.fn(),
+}));
+
+const categoryTree = [
+  {
+    _id: 'cat-tech',
+    name: 'Technology',
+    color: '#007bff',
+    children: [
+      { _id: 'cat-js', name: 'JavaScript', color: '#f7df1e', children: [] },
+    ],
+  },
+  { _id: 'cat-life', name: 'Lifestyle', color: '#28a745', children: [] },
+];
+
+// Categories load asynchronously; wait for the options before selecting one
+const waitForCategories = () => screen.findByRole('option', { name: 'Technology' });
+
 describe('PostForm Component', () => {
   const mockOnSubmit = jest.fn();
   const defaultProps = {
@@ -20,6 +43,7 @@ describe('PostForm Component', () => {
   beforeEach(() => {
     jest.clearAllMocks();
     validatePost.mockReturnValue({ isValid: true, errors: {} });
+    getCategoryTree.mockResolvedValue({ success: true, data: { tree: categoryTree } });
   });
 
   it('renders form fields correctly', () => {
@@ -31,18 +55,19 @@ describe('PostForm Component', () => {
     expect(screen.getByRole('button', { name: /submit post/i })).toBeInTheDocument();
   });
 
-  it('displays initial data when provided', () => {
+  it('displays initial data when provided', async () => {
     const initialData = {
       title: 'Test Title',
       content: 'Test Content',
-      category: 'technology',
+      category: 'cat-tech',
     };
 
     render(<PostForm {...defaultProps} initialData={initialData} />);
+    await waitForCategories();
 
     expect(screen.getByDisplayValue('Test Title')).toBeInTheDocument();
     expect(screen.getByDisplayValue('Test Content')).toBeInTheDocument();
-    expect(screen.getByDisplayValue('technology')).toBeInTheDocument();
+    expect(screen.getByLabelText(/category/i)).toHaveValue('cat-tech');
   });
 
   it('shows loading state when isLoading is true', () => {
@@ -78,10 +103,12 @@ describe('PostForm Component', () => {
     const formData = {
       title: 'Valid Title',
       content: 'This is valid content with more than 10 characters',
-      category: 'technology',
+      category: 'cat-tech',
+      tags: [],
     };
 
     render(<PostForm {...defaultProps} />);
+    await waitForCategories();
 
     // Fill form
     fireEvent.change(screen.getByLabelText(/title/i), {
@@ -131,6 +158,7 @@ describe('PostForm Component', () => {
     mockOnSubmit.mockRejectedValue(new Error(errorMessage));
 
     render(<PostForm {...defaultProps} />);
+    await waitForCategories();
 
     // Fill and submit form
     fireEvent.change(screen.getByLabelText(/title/i), {
@@ -140,7 +168,7 @@ describe('PostForm Component', () => {
       target: { value: 'Test content with enough characters' },
     });
     fireEvent.change(screen.getByLabelText(/category/i), {
-      target: { value: 'technology' },
+      target: { value: 'cat-tech' },
     });
 
     fireEvent.click(screen.getByRole('button', { name: /submit post/i }));
@@ -154,6 +182,7 @@ describe('PostForm Component', () => {
     mockOnSubmit.mockResolvedValue({});
 
     render(<PostForm {...defaultProps} />);
+    await waitForCategories();
 
     // Fill form
     fireEvent.change(screen.getByLabelText(/title/i), {
@@ -163,7 +192,7 @@ describe('PostForm Component', () => {
       target: { value: 'Test content' },
     });
     fireEvent.change(screen.getByLabelText(/category/i), {
-      target: { value: 'technology' },
+      target: { value: 'cat-tech' },
     });
 
     // Submit
@@ -178,4 +207,109 @@ describe('PostForm Component', () => {
     expect(screen.getByLabelText(/content/i)).toHaveValue('');
     expect(screen.getByLabelText(/category/i)).toHaveValue('');
   });
+
+  it('renders a Markdown preview from the server', async () => {
+    previewPost.mockResolvedValue({ success: true, data: { contentHtml: '<p><strong>Bold</strong> text</p>' } });
+
+    render(<PostForm {...defaultProps} />);
+    fireEvent.change(screen.getByLabelText(/content/i), {
+      target: { value: '**Bold** text' },
+    });
+    fireEvent.click(screen.getByLabelText(/preview/i));
+
+    await waitFor(() => {
+      expect(screen.getByTestId('markdown-preview')).toContainHTML('<strong>Bold</strong>');
+    });
+    expect(previewPost).toHaveBeenCalledWith('**Bold** text');
+  });
+
+  it('shows an error when the preview fails', async () => {
+    previewPost.mockRejectedValue(new Error('Server error rendering preview'));
+
+    render(<PostForm {...defaultProps} />);
+    fireEvent.click(screen.getByLabelText(/preview/i));
+
+    expect(await screen.findByText('Server error rendering preview')).toBeInTheDocument();
+  });
+
+  it('loads categories from the API with their hierarchy', async () => {
+    render(<PostForm {...defaultProps} />);
+    await waitForCategories();
+
+    const options = screen.getAllByRole('option').map(option => option.textContent);
+    expect(options).toEqual(['Select a category', 'Technology', '\u00a0\u00a0└ JavaScript', 'Lifestyle']);
+
+    fireEvent.change(screen.getByLabelText(/category/i), { target: { value: 'cat-js' } });
+    expect(screen.getByTestId('category-swatch')).toHaveStyle({ backgroundColor: '#f7df1e' });
+  });
+
+  it('only offers inline category creation when allowed', async () => {
+    render(<PostForm {...defaultProps} />);
+    await waitForCategories();
+
+    expect(screen.queryByRole('button', { name: /new category/i })).not.toBeInTheDocument();
+  });
+
+  it('lets admins create a category inline and selects it', async () => {
+    createCategory.mockResolvedValue({ success: true, data: { category: { _id: 'cat-react' } } });
+
+    render(<PostForm {...defaultProps} canCreateCategory />);
+    await waitForCategories();
+
+    fireEvent.change(screen.getByLabelText(/category/i), { target: { value: 'cat-js' } });
+    fireEvent.click(screen.getByRole('button', { name: /new category/i }));
+
+    getCategoryTree.mockResolvedValue({
+      success: true,
+      data: {
+        tree: [
+          ...categoryTree,
+          { _id: 'cat-react', name: 'React', color: '#61dafb', children: [] },
+        ],
+      },
+    });
+    fireEvent.change(screen.getByLabelText(/new category name/i), { target: { value: 'React' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add' }));
+
+    await waitFor(() => {
+      expect(screen.getByLabelText(/^category$/i)).toHaveValue('cat-react');
+    });
+    expect(createCategory).toHaveBeenCalledWith({ name: 'React', color: '#007bff', parent: 'cat-js' });
+  });
+
+  it('creates a top-level category inline when no parent is chosen', async () => {
+    createCategory.mockResolvedValue({ success: true, data: { category: { _id: 'cat-travel' } } });
+
+    render(<PostForm {...defaultProps} canCreateCategory />);
+    await waitForCategories();
+
+    fireEvent.change(screen.getByLabelText(/^category$/i), { target: { value: 'cat-js' } });
+    fireEvent.click(screen.getByRole('button', { name: /new category/i }));
+
+    expect(screen.getByLabelText(/new category parent/i)).toHaveValue('cat-js');
+    fireEvent.change(screen.getByLabelText(/new category parent/i), { target: { value: '' } });
+    fireEvent.change(screen.getByLabelText(/new category name/i), { target: { value: 'Travel' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add' }));
+
+    await waitFor(() => {
+      expect(createCategory).toHaveBeenCalledWith({ name: 'Travel', color: '#007bff', parent: null });
+    });
+  });
+
+  it('submits tags added in the tag input', async () => {
+    render(<PostForm {...defaultProps} />);
+    await waitForCategories();
+
+    fireEvent.change(screen.getByLabelText(/title/i), { target: { value: 'Tagged Title' } });
+    fireEvent.change(screen.getByLabelText(/content/i), { target: { value: 'Content with enough characters' } });
+    fireEvent.change(screen.getByLabelText(/^category$/i), { target: { value: 'cat-tech' } });
+    fireEvent.change(screen.getByLabelText(/tags/i), { target: { value: 'React' } });
+    fireEvent.keyDown(screen.getByLabelText(/tags/i), { key: 'Enter' });
+
+    fireEvent.click(screen.getByRole('button', { name: /submit post/i }));
+
+    await waitFor(() => {
+      expect(mockOnSubmit).toHaveBeenCalledWith(expect.objectContaining({ tags: ['react'] }));
+    });
+  });
 });
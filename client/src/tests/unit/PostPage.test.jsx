@@ -0,0 +1,73 @@
+// PostPage.test.jsx - Unit test for PostPage component
+
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import PostPage from '../../components/PostPage';
+import { getPostBySlug } from '../../utils/api';
+
+jest.mock('../../utils/api', () => ({
+  getPostBySlug: jest.fn(),
+}));
+
+const post = {
+  _id: '1',
+  title: 'Getting Started with React',
+  slug: 'getting-started-with-react',
+  content: 'React is a library for building user interfaces.',
+  author: { username: 'janedoe' },
+  category: { name: 'Technology' },
+  tags: ['react'],
+  publishedAt: '2024-02-01T00:00:00.000Z',
+};
+
+const renderAt = (path) => render(
+  <MemoryRouter initialEntries={[path]}>
+    <Routes>
+      <Route path="/posts/:slug" element={<PostPage />} />
+    </Routes>
+  </MemoryRouter>
+);
+
+describe('PostPage Component', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('loads the post for the slug in the URL', async () => {
+    getPostBySlug.mockResolvedValue({ success: true, data: { post } });
+
+    renderAt('/posts/getting-started-with-react');
+
+    expect(await screen.findByText('Getting Started with React')).toBeInTheDocument();
+    expect(getPostBySlug).toHaveBeenCalledWith('getting-started-with-react');
+    expect(screen.getByText('By: janedoe')).toBeInTheDocument();
+    expect(screen.getByText('#react')).toBeInTheDocument();
+  });
+
+  it('follows the redirect hint for an old slug', async () => {
+    getPostBySlug
+      .mockResolvedValueOnce({
+        success: true,
+        data: { post, redirect: { from: 'old-title', to: 'getting-started-with-react' } },
+      })
+      .mockResolvedValueOnce({ success: true, data: { post } });
+
+    renderAt('/posts/old-title');
+
+    expect(await screen.findByText('Getting Started with React')).toBeInTheDocument();
+    expect(getPostBySlug).toHaveBeenNthCalledWith(1, 'old-title');
+    expect(getPostBySlug).toHaveBeenNthCalledWith(2, 'getting-started-with-react');
+  });
+
+  it('shows a not found message for unknown slugs', async () => {
+    const error = new Error('Post not found');
+    error.status = 404;
+    getPostBySlug.mockRejectedValue(error);
+
+    renderAt('/posts/missing');
+
+    expect(await screen.findByText('Post not found.')).toBeInTheDocument();
+  });
+});
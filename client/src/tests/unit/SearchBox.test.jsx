@@ -0,0 +1,85 @@
+// SearchBox.test.jsx - Unit test for SearchBox component
+
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import SearchBox from '../../components/SearchBox';
+import { getSearchSuggestions } from '../../utils/api';
+
+jest.mock('../../utils/api', () => ({
+  getSearchSuggestions: jest.fn(),
+}));
+
+const suggestions = [
+  { type: 'tag', label: 'react', count: 2 },
+  { type: 'post', label: 'Learning React Hooks', slug: 'learning-react-hooks' },
+];
+
+describe('SearchBox Component', () => {
+  const onSelect = jest.fn();
+  const onSearch = jest.fn();
+
+  beforeEach(() => {
+    getSearchSuggestions.mockResolvedValue({ success: true, data: { suggestions } });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const typeQuery = (value) => {
+    const input = screen.getByRole('combobox');
+    fireEvent.change(input, { target: { value } });
+    return input;
+  };
+
+  it('shows suggestions after typing', async () => {
+    render(<SearchBox onSelect={onSelect} onSearch={onSearch} />);
+    typeQuery('rea');
+
+    expect(await screen.findByText('Learning React Hooks')).toBeInTheDocument();
+    expect(getSearchSuggestions).toHaveBeenCalledTimes(1);
+    expect(getSearchSuggestions).toHaveBeenCalledWith('rea');
+  });
+
+  it('debounces requests while typing', async () => {
+    render(<SearchBox onSelect={onSelect} onSearch={onSearch} />);
+    typeQuery('r');
+    typeQuery('re');
+    typeQuery('rea');
+
+    await screen.findByText('Learning React Hooks');
+    expect(getSearchSuggestions).toHaveBeenCalledTimes(1);
+  });
+
+  it('selects a suggestion with the keyboard', async () => {
+    render(<SearchBox onSelect={onSelect} onSearch={onSearch} />);
+    const input = typeQuery('rea');
+    await screen.findByText('Learning React Hooks');
+
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    fireEvent.submit(input);
+
+    expect(onSelect).toHaveBeenCalledWith(suggestions[1]);
+    expect(onSearch).not.toHaveBeenCalled();
+  });
+
+  it('selects a suggestion by clicking it', async () => {
+    render(<SearchBox onSelect={onSelect} onSearch={onSearch} />);
+    typeQuery('rea');
+
+    fireEvent.click(await screen.findByText('react'));
+
+    expect(onSelect).toHaveBeenCalledWith(suggestions[0]);
+  });
+
+  it('runs a full search when no suggestion is highlighted', () => {
+    render(<SearchBox onSelect={onSelect} onSearch={onSearch} />);
+    const input = typeQuery('  react hooks ');
+
+    fireEvent.submit(input);
+
+    expect(onSearch).toHaveBeenCalledWith('react hooks');
+  });
+});
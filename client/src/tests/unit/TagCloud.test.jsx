@@ -0,0 +1,58 @@
+// TagCloud.test.jsx - Unit test for TagCloud component
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import TagCloud from '../../components/TagCloud';
+import { getTags } from '../../utils/api';
+
+jest.mock('../../utils/api', () => ({
+  getTags: jest.fn(),
+}));
+
+const tags = [
+  { name: 'react', count: 9 },
+  { name: 'node', count: 5 },
+  { name: 'css', count: 1 },
+];
+
+describe('TagCloud Component', () => {
+  const onSelect = jest.fn();
+
+  beforeEach(() => {
+    getTags.mockResolvedValue({ success: true, data: { tags } });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('lists tags alphabetically, sized by usage', async () => {
+    render(<TagCloud onSelect={onSelect} />);
+    await screen.findByText('react');
+
+    expect(screen.getAllByRole('button').map(button => button.textContent)).toEqual(['css', 'node', 'react']);
+    expect(screen.getByText('css')).toHaveStyle({ fontSize: '12px' });
+    expect(screen.getByText('node')).toHaveStyle({ fontSize: '18px' });
+    expect(screen.getByText('react')).toHaveStyle({ fontSize: '24px' });
+  });
+
+  it('selects a tag, or clears the selected one', async () => {
+    render(<TagCloud onSelect={onSelect} selectedTag="node" />);
+
+    fireEvent.click(await screen.findByText('react'));
+    expect(onSelect).toHaveBeenCalledWith('react');
+
+    fireEvent.click(screen.getByText('node'));
+    expect(onSelect).toHaveBeenLastCalledWith(null);
+  });
+
+  it('renders nothing when there are no tags', async () => {
+    getTags.mockResolvedValue({ success: true, data: { tags: [] } });
+
+    const { container } = render(<TagCloud onSelect={onSelect} />);
+
+    await waitFor(() => expect(getTags).toHaveBeenCalled());
+    expect(container).toBeEmptyDOMElement();
+  });
+});
@@ -0,0 +1,83 @@
+// TagInput.test.jsx - Unit test for TagInput component
+
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import TagInput from '../../components/TagInput';
+import { getTags } from '../../utils/api';
+
+jest.mock('../../utils/api', () => ({
+  getTags: jest.fn(),
+}));
+
+const tags = [
+  { name: 'react', count: 5 },
+  { name: 'redux', count: 2 },
+];
+
+describe('TagInput Component', () => {
+  const onChange = jest.fn();
+
+  beforeEach(() => {
+    getTags.mockResolvedValue({ success: true, data: { tags } });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const typeTag = (value) => {
+    const input = screen.getByRole('combobox');
+    fireEvent.change(input, { target: { value } });
+    return input;
+  };
+
+  it('suggests existing tags that are not already added', async () => {
+    render(<TagInput tags={['redux']} onChange={onChange} />);
+    typeTag('Re');
+
+    expect(await screen.findByRole('option', { name: /react/ })).toBeInTheDocument();
+    expect(screen.queryByRole('option', { name: /redux/ })).not.toBeInTheDocument();
+    expect(getTags).toHaveBeenCalledWith({ q: 're', limit: 8 });
+  });
+
+  it('adds a suggestion with the keyboard', async () => {
+    render(<TagInput tags={[]} onChange={onChange} />);
+    const input = typeTag('re');
+    await screen.findByRole('option', { name: /react/ });
+
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(onChange).toHaveBeenCalledWith(['react']);
+  });
+
+  it('adds new tags in lowercase on comma', () => {
+    render(<TagInput tags={['react']} onChange={onChange} />);
+    const input = typeTag(' Hooks ');
+
+    fireEvent.keyDown(input, { key: ',' });
+
+    expect(onChange).toHaveBeenCalledWith(['react', 'hooks']);
+    expect(input).toHaveValue('');
+  });
+
+  it('ignores duplicate tags', () => {
+    render(<TagInput tags={['react']} onChange={onChange} />);
+    const input = typeTag('React');
+
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(onChange).not.toHaveBeenCalled();
+  });
+
+  it('removes tags', () => {
+    render(<TagInput tags={['react', 'hooks']} onChange={onChange} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Remove react' }));
+    expect(onChange).toHaveBeenCalledWith(['hooks']);
+
+    fireEvent.keyDown(screen.getByRole('combobox'), { key: 'Backspace' });
+    expect(onChange).toHaveBeenLastCalledWith(['react']);
+  });
+});
@@ -0,0 +1,83 @@
+// TrashBin.test.jsx - Unit test for TrashBin component
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import TrashBin from '../../components/TrashBin';
+import { getTrash, restorePost, purgePost } from '../../utils/api';
+
+jest.mock('../../utils/api', () => ({
+  getTrash: jest.fn(),
+  restorePost: jest.fn(),
+  purgePost: jest.fn(),
+}));
+
+const trashedPost = {
+  _id: '1',
+  title: 'Deleted by accident',
+  deletedAt: '2024-03-01T00:00:00.000Z',
+  purgeAt: '2024-03-31T00:00:00.000Z',
+};
+
+describe('TrashBin Component', () => {
+  beforeEach(() => {
+    getTrash.mockResolvedValue({ success: true, data: { posts: [trashedPost] } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('lists trashed posts', async () => {
+    render(<TrashBin />);
+
+    expect(await screen.findByText('Deleted by accident')).toBeInTheDocument();
+    expect(screen.getByText(/Removed for good on/)).toBeInTheDocument();
+  });
+
+  it('shows an empty state', async () => {
+    getTrash.mockResolvedValue({ success: true, data: { posts: [] } });
+
+    render(<TrashBin />);
+
+    expect(await screen.findByText('The trash is empty.')).toBeInTheDocument();
+  });
+
+  it('restores a post and notifies the parent', async () => {
+    const restored = { ...trashedPost, deletedAt: null };
+    restorePost.mockResolvedValue({ success: true, data: { post: restored } });
+    const onRestored = jest.fn();
+
+    render(<TrashBin onRestored={onRestored} />);
+    fireEvent.click(await screen.findByText('Restore'));
+
+    await waitFor(() => expect(onRestored).toHaveBeenCalledWith(restored));
+    expect(restorePost).toHaveBeenCalledWith('1');
+    expect(screen.queryByText('Deleted by accident')).not.toBeInTheDocument();
+  });
+
+  it('only purges a post after confirmation', async () => {
+    purgePost.mockResolvedValue({ success: true });
+    const confirm = jest.spyOn(window, 'confirm').mockReturnValueOnce(false).mockReturnValueOnce(true);
+
+    render(<TrashBin />);
+    const purgeButton = await screen.findByText('Delete forever');
+
+    fireEvent.click(purgeButton);
+    expect(purgePost).not.toHaveBeenCalled();
+
+    fireEvent.click(purgeButton);
+    await waitFor(() => expect(purgePost).toHaveBeenCalledWith('1'));
+    expect(confirm).toHaveBeenCalledTimes(2);
+    await waitFor(() => expect(screen.queryByText('Deleted by accident')).not.toBeInTheDocument());
+  });
+
+  it('shows an error when the trash cannot be loaded', async () => {
+    getTrash.mockRejectedValue(new Error('Server error retrieving trash'));
+
+    render(<TrashBin />);
+
+    expect(await screen.findByText('Server error retrieving trash')).toBeInTheDocument();
+  });
+});
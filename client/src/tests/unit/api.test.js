@@ -0,0 +1,59 @@
+import { apiRequest } from '../../utils/api';
+
+const jsonResponse = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: () => 'application/json' },
+  json: async () => body,
+});
+
+describe('apiRequest', () => {
+  let store;
+
+  beforeEach(() => {
+    store = { token: 'expired-token', refreshToken: 'refresh-1' };
+    global.fetch = jest.fn();
+    jest.spyOn(Storage.prototype, 'getItem').mockImplementation((key) => store[key] ?? null);
+    jest.spyOn(Storage.prototype, 'setItem').mockImplementation((key, value) => { store[key] = value; });
+    jest.spyOn(Storage.prototype, 'removeItem').mockImplementation((key) => { delete store[key]; });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('refreshes the access token on 401 and retries the request', async () => {
+    fetch
+      .mockResolvedValueOnce(jsonResponse(401, { success: false, message: 'Token is not valid.' }))
+      .mockResolvedValueOnce(jsonResponse(200, {
+        success: true,
+        data: { token: 'fresh-token', refreshToken: 'refresh-2' },
+      }))
+      .mockResolvedValueOnce(jsonResponse(200, { success: true, data: { user: { username: 'testuser' } } }));
+
+    const result = await apiRequest('/api/auth/me');
+
+    expect(result.data.user.username).toBe('testuser');
+    expect(fetch).toHaveBeenCalledTimes(3);
+    expect(fetch.mock.calls[1][0]).toMatch(/\/api\/auth\/refresh$/);
+    expect(fetch.mock.calls[2][1].headers.Authorization).toBe('Bearer fresh-token');
+    expect(store).toEqual({ token: 'fresh-token', refreshToken: 'refresh-2' });
+  });
+
+  it('clears stored tokens when the refresh fails', async () => {
+    fetch
+      .mockResolvedValueOnce(jsonResponse(401, { success: false, message: 'Token is not valid.' }))
+      .mockResolvedValueOnce(jsonResponse(401, { success: false, message: 'Refresh token is invalid or has expired' }));
+
+    await expect(apiRequest('/api/auth/me')).rejects.toThrow('Refresh token is invalid or has expired');
+    expect(store).toEqual({});
+  });
+
+  it('does not try to refresh failed logins', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse(401, { success: false, message: 'Invalid credentials' }));
+
+    await expect(apiRequest('/api/auth/login', { method: 'POST' })).rejects.toThrow('Invalid credentials');
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
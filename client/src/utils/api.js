@@ -37,24 +37,93 @@ const handleResponse = async (response) => {
   return response.text();
 };
 
+// Uploaded files are served by the API server; turn relative paths into full URLs
+export const resolveAssetUrl = (path) => {
+  if (!path || /^(https?:|blob:|data:)/.test(path)) {
+    return path;
+  }
+  return `${API_BASE_URL}${path}`;
+};
+
 const getAuthHeaders = () => {
   const token = localStorage.getItem('token');
   return token ? { 'Authorization': `Bearer ${token}` } : {};
 };
 
+// Endpoints whose 401 responses mean bad credentials, not an expired access token
+const NO_REFRESH_ENDPOINTS = [
+  '/api/auth/login',
+  '/api/auth/register',
+  '/api/auth/refresh',
+  '/api/auth/2fa/verify',
+];
+
+export const storeAuthTokens = ({ token, refreshToken }) => {
+  localStorage.setItem('token', token);
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken);
+  }
+};
+
+export const clearAuthTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
+
+// Shared so parallel 401s trigger a single rotation; a second rotation with
+// the same refresh token would be treated as reuse and end the session
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const response = await fetch(`${API_BASE_URL}/api/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken: localStorage.getItem('refreshToken') }),
+      });
+      const result = await handleResponse(response);
+      storeAuthTokens(result.data);
+      return result.data.token;
+    })()
+      .catch((error) => {
+        clearAuthTokens();
+        throw error;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
 export const apiRequest = async (endpoint, options = {}) => {
   const url = `${API_BASE_URL}${endpoint}`;
-  const config = {
+  // FormData bodies need the browser to set the multipart boundary itself
+  const isFormData = typeof FormData !== 'undefined' && options.body instanceof FormData;
+  const buildConfig = () => ({
+    ...options,
     headers: {
-      'Content-Type': 'application/json',
+      ...(!isFormData && { 'Content-Type': 'application/json' }),
       ...getAuthHeaders(),
       ...options.headers,
     },
-    ...options,
-  };
+  });
 
   try {
-    const response = await fetch(url, config);
+    let response = await fetch(url, buildConfig());
+
+    // Access token expired: refresh silently and retry the original request once
+    if (
+      response.status === 401
+      && localStorage.getItem('refreshToken')
+      && !NO_REFRESH_ENDPOINTS.includes(endpoint)
+    ) {
+      await refreshAccessToken();
+      response = await fetch(url, buildConfig());
+    }
+
     return await handleResponse(response);
   } catch (error) {
     console.error(`API request failed for ${endpoint}:`, error);
@@ -68,10 +137,19 @@ export const getPosts = (filters = {}) => {
   return apiRequest(endpoint);
 };
 
+export const getMyPosts = (filters = {}) => {
+  const queryParams = new URLSearchParams(filters).toString();
+  return apiRequest(`/api/posts/mine${queryParams ? `?${queryParams}` : ''}`);
+};
+
 export const getPost = (id) => {
   return apiRequest(`/api/posts/${id}`);
 };
 
+export const getPostBySlug = (slug) => {
+  return apiRequest(`/api/posts/slug/${encodeURIComponent(slug)}`);
+};
+
 export const createPost = (postData) => {
   return apiRequest('/api/posts', {
     method: 'POST',
@@ -79,6 +157,13 @@ export const createPost = (postData) => {
   });
 };
 
+export const previewPost = (content) => {
+  return apiRequest('/api/posts/preview', {
+    method: 'POST',
+    body: JSON.stringify({ content }),
+  });
+};
+
 export const updatePost = (id, postData) => {
   return apiRequest(`/api/posts/${id}`, {
     method: 'PUT',
@@ -92,6 +177,48 @@ export const deletePost = (id) => {
   });
 };
 
+export const getTrash = (filters = {}) => {
+  const queryParams = new URLSearchParams(filters).toString();
+  return apiRequest(`/api/posts/trash${queryParams ? `?${queryParams}` : ''}`);
+};
+
+export const restorePost = (id) => {
+  return apiRequest(`/api/posts/${id}/restore`, {
+    method: 'POST',
+  });
+};
+
+export const purgePost = (id) => {
+  return apiRequest(`/api/posts/trash/${id}`, {
+    method: 'DELETE',
+  });
+};
+
+export const getCategoryTree = () => {
+  return apiRequest('/api/categories/tree');
+};
+
+export const createCategory = (categoryData) => {
+  return apiRequest('/api/categories', {
+    method: 'POST',
+    body: JSON.stringify(categoryData),
+  });
+};
+
+export const getTags = (filters = {}) => {
+  const queryParams = new URLSearchParams(filters).toString();
+  return apiRequest(`/api/tags${queryParams ? `?${queryParams}` : ''}`);
+};
+
+export const getSearchSuggestions = (query, limit) => {
+  const queryParams = new URLSearchParams({ q: query, ...(limit && { limit }) }).toString();
+  return apiRequest(`/api/search/suggest?${queryParams}`);
+};
+
+export const getUserProfile = (username) => {
+  return apiRequest(`/api/users/${encodeURIComponent(username)}`);
+};
+
 export const login = (credentials) => {
   return apiRequest('/api/auth/login', {
     method: 'POST',
@@ -99,6 +226,33 @@ export const login = (credentials) => {
   });
 };
 
+export const verifyTwoFactor = (challengeToken, code) => {
+  return apiRequest('/api/auth/2fa/verify', {
+    method: 'POST',
+    body: JSON.stringify({ challengeToken, code }),
+  });
+};
+
+export const setupTwoFactor = () => {
+  return apiRequest('/api/auth/2fa/setup', {
+    method: 'POST',
+  });
+};
+
+export const enableTwoFactor = (code) => {
+  return apiRequest('/api/auth/2fa/enable', {
+    method: 'POST',
+    body: JSON.stringify({ code }),
+  });
+};
+
+export const disableTwoFactor = (password, code) => {
+  return apiRequest('/api/auth/2fa/disable', {
+    method: 'POST',
+    body: JSON.stringify({ password, code }),
+  });
+};
+
 export const register = (userData) => {
   return apiRequest('/api/auth/register', {
     method: 'POST',
@@ -106,8 +260,71 @@ export const register = (userData) => {
   });
 };
 
+export const logout = () => {
+  return apiRequest('/api/auth/logout', {
+    method: 'POST',
+    body: JSON.stringify({ refreshToken: localStorage.getItem('refreshToken') || undefined }),
+  });
+};
+
+export const logoutAll = () => {
+  return apiRequest('/api/auth/logout-all', {
+    method: 'POST',
+  });
+};
+
+export const getSessions = () => {
+  return apiRequest('/api/auth/sessions');
+};
+
+export const revokeSession = (sessionId) => {
+  return apiRequest(`/api/auth/sessions/${sessionId}`, {
+    method: 'DELETE',
+  });
+};
+
 export const getCurrentUser = () => {
   return apiRequest('/api/auth/me');
 };
 
+export const uploadAvatar = (file) => {
+  const formData = new FormData();
+  formData.append('avatar', file);
+
+  return apiRequest('/api/auth/profile/avatar', {
+    method: 'POST',
+    body: formData,
+  });
+};
+
+export const deleteAvatar = () => {
+  return apiRequest('/api/auth/profile/avatar', {
+    method: 'DELETE',
+  });
+};
+
+export const forgotPassword = (email) => {
+  return apiRequest('/api/auth/forgot-password', {
+    method: 'POST',
+    body: JSON.stringify({ email }),
+  });
+};
+
+export const resetPassword = (token, password) => {
+  return apiRequest(`/api/auth/reset-password/${token}`, {
+    method: 'POST',
+    body: JSON.stringify({ password }),
+  });
+};
+
+export const verifyEmail = (token) => {
+  return apiRequest(`/api/auth/verify-email/${token}`);
+};
+
+export const resendVerification = () => {
+  return apiRequest('/api/auth/resend-verification', {
+    method: 'POST',
+  });
+};
+
 export { ApiError };
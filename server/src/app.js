@@ -8,14 +8,25 @@ const compression = require('compression');
 // Import routes
 const authRoutes = require('./routes/auth');
 const postRoutes = require('./routes/posts');
+const adminRoutes = require('./routes/admin');
+const userRoutes = require('./routes/users');
+const searchRoutes = require('./routes/search');
+const categoryRoutes = require('./routes/categories');
+const tagRoutes = require('./routes/tags');
+
+const config = require('./config');
 
 // Import middleware
 const { requestLogger } = require('./utils/logger');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
+const { localDiskStorage } = require('./utils/storage');
 
 // Create Express app
 const app = express();
 
+// Resolve req.ip from X-Forwarded-For when running behind a reverse proxy
+app.set('trust proxy', config.trustProxy);
+
 // Security middleware
 app.use(helmet({
   crossOriginResourcePolicy: { policy: "cross-origin" }
@@ -67,9 +78,17 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Files saved by the local disk storage adapter (avatars)
+app.use('/uploads', express.static(localDiskStorage.directory, { maxAge: '7d' }));
+
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/posts', postRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/search', searchRoutes);
 
 // Welcome route
 app.get('/', (req, res) => {
@@ -80,6 +99,11 @@ app.get('/', (req, res) => {
     endpoints: {
       auth: '/api/auth',
       posts: '/api/posts',
+      categories: '/api/categories',
+      tags: '/api/tags',
+      users: '/api/users',
+      admin: '/api/admin',
+      search: '/api/search',
       health: '/health',
     },
   });
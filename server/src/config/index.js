@@ -0,0 +1,64 @@
+// Application feature switches driven by environment variables.
+// Values are read once at startup; tests may override them on this object.
+
+// TRUST_PROXY accepts what Express's "trust proxy" setting does: true/false,
+// a number of proxy hops, or a comma-separated list of addresses/subnets
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return parseInt(value);
+  return value;
+};
+
+const config = {
+  // Which reverse proxies to trust for the client IP (X-Forwarded-For). Per-IP
+  // rate limits see only the proxy's address unless this is set behind one.
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+
+  // Block content creation (posts, comments) until the account email is verified
+  requireEmailVerification: process.env.REQUIRE_EMAIL_VERIFICATION === 'true',
+
+  // Per-IP limit on failed credential checks (login, change-password)
+  authRateLimit: {
+    windowMinutes: parseInt(process.env.AUTH_RATE_LIMIT_WINDOW_MINUTES) || 15,
+    max: parseInt(process.env.AUTH_RATE_LIMIT_MAX) || 20,
+  },
+
+  // Per-account lockout; each lockout doubles the previous duration up to the maximum
+  lockout: {
+    maxFailedAttempts: parseInt(process.env.LOCKOUT_MAX_FAILED_ATTEMPTS) || 5,
+    baseMinutes: parseInt(process.env.LOCKOUT_BASE_MINUTES) || 15,
+    maxMinutes: parseInt(process.env.LOCKOUT_MAX_MINUTES) || 24 * 60,
+  },
+
+  // Minimum time between session last-seen writes made by the authenticate middleware
+  sessionTouchIntervalMinutes: parseInt(process.env.SESSION_TOUCH_INTERVAL_MINUTES) || 5,
+
+  // Days between an account deletion request and the data being erased;
+  // logging in during this period cancels the deletion
+  accountDeletion: {
+    graceDays: parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14,
+    // Username of the placeholder that erased users' content is attributed
+    // to; registration rejects it so no real account can pose as the placeholder
+    placeholderUsername: 'deleted_user',
+  },
+
+  // Days a deleted post stays in the trash before it is purged for good
+  trash: {
+    retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS) || 30,
+  },
+
+  // How often the background job runner checks for work
+  jobs: {
+    publishScheduledPostsSeconds: parseInt(process.env.JOB_PUBLISH_SCHEDULED_POSTS_SECONDS) || 60,
+    purgeDeletedAccountsMinutes: parseInt(process.env.JOB_PURGE_DELETED_ACCOUNTS_MINUTES) || 60,
+    purgeTrashMinutes: parseInt(process.env.JOB_PURGE_TRASH_MINUTES) || 60,
+  },
+
+  // Upload size limits
+  uploads: {
+    avatarMaxSizeMB: parseFloat(process.env.AVATAR_MAX_SIZE_MB) || 2,
+  },
+};
+
+module.exports = config;
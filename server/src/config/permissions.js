@@ -0,0 +1,78 @@
+// Role-based permissions. Each role maps to a set of named permissions and
+// inherits everything granted to the roles listed in `inherits`.
+const PERMISSIONS = {
+  POST_CREATE: 'post:create',
+  POST_PUBLISH: 'post:publish',
+  POST_EDIT_OWN: 'post:edit:own',
+  POST_EDIT_ANY: 'post:edit:any',
+  POST_DELETE_OWN: 'post:delete:own',
+  POST_DELETE_ANY: 'post:delete:any',
+  COMMENT_CREATE: 'comment:create',
+  COMMENT_DELETE_OWN: 'comment:delete:own',
+  COMMENT_MODERATE: 'comment:moderate',
+  CATEGORY_MANAGE: 'category:manage',
+  TAG_MANAGE: 'tag:manage',
+  USER_MANAGE: 'user:manage',
+};
+
+const ROLE_DEFINITIONS = {
+  // Default role for new accounts; may write drafts but not publish them
+  user: {
+    permissions: [
+      PERMISSIONS.POST_CREATE,
+      PERMISSIONS.POST_EDIT_OWN,
+      PERMISSIONS.POST_DELETE_OWN,
+      PERMISSIONS.COMMENT_CREATE,
+      PERMISSIONS.COMMENT_DELETE_OWN,
+    ],
+  },
+  // Staff writer who can publish and schedule their own posts
+  author: {
+    inherits: ['user'],
+    permissions: [PERMISSIONS.POST_PUBLISH],
+  },
+  // Can fix anyone's posts without full admin rights
+  editor: {
+    inherits: ['author'],
+    permissions: [PERMISSIONS.POST_EDIT_ANY],
+  },
+  // Can remove other users' comments
+  moderator: {
+    inherits: ['user'],
+    permissions: [PERMISSIONS.COMMENT_MODERATE],
+  },
+  admin: {
+    inherits: ['editor', 'moderator'],
+    permissions: [PERMISSIONS.POST_DELETE_ANY, PERMISSIONS.CATEGORY_MANAGE, PERMISSIONS.TAG_MANAGE, PERMISSIONS.USER_MANAGE],
+  },
+};
+
+const ROLES = Object.keys(ROLE_DEFINITIONS);
+
+// Resolve a role's own and inherited permissions
+const resolvePermissions = (role, seen = new Set()) => {
+  const definition = ROLE_DEFINITIONS[role];
+  if (!definition || seen.has(role)) {
+    return [];
+  }
+  seen.add(role);
+
+  const inherited = (definition.inherits || []).flatMap(parent => resolvePermissions(parent, seen));
+  return [...new Set([...inherited, ...definition.permissions])];
+};
+
+const ROLE_PERMISSIONS = Object.fromEntries(
+  ROLES.map(role => [role, resolvePermissions(role)])
+);
+
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (role, permission) => getPermissions(role).includes(permission);
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ROLE_PERMISSIONS,
+  getPermissions,
+  hasPermission,
+};
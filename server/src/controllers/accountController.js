@@ -0,0 +1,138 @@
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Session = require('../models/Session');
+const { revokeAllSessions } = require('../utils/auth');
+const { scheduleAccountDeletion } = require('../utils/accountDeletion');
+const { logger, errorLogger } = require('../utils/logger');
+
+// @desc    Export all personal data held about the current user
+// @route   GET /api/auth/export
+// @access  Private
+const exportAccountData = async (req, res) => {
+  try {
+    const userId = req.user._id;
+
+    const user = await User.findById(userId).select('-password');
+
+    // Trashed posts are still personal data until purged
+    const posts = await Post.find({ author: userId })
+      .setOptions({ withDeleted: true })
+      .populate('category', 'name')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const commentedPosts = await Post.find({ 'comments.user': userId }).select('title slug comments').lean();
+    const comments = commentedPosts.flatMap(post => post.comments
+      .filter(comment => comment.user.toString() === userId.toString())
+      .map(comment => ({
+        post: { _id: post._id, title: post.title, slug: post.slug },
+        content: comment.content,
+        createdAt: comment.createdAt,
+      })));
+
+    const likedPosts = await Post.find({ 'likes.user': userId }).select('title slug likes').lean();
+    const likes = likedPosts.flatMap(post => post.likes
+      .filter(like => like.user.toString() === userId.toString())
+      .map(like => ({
+        post: { _id: post._id, title: post.title, slug: post.slug },
+        createdAt: like.createdAt,
+      })));
+
+    const sessions = await Session.find({ user: userId })
+      .select('userAgent ip createdAt lastSeenAt expiresAt revokedAt')
+      .lean();
+
+    const archive = {
+      exportedAt: new Date().toISOString(),
+      profile: user.toJSON(),
+      posts: posts.map(({ likes: postLikes, comments: postComments, ...post }) => ({
+        ...post,
+        likeCount: postLikes.length,
+        commentCount: postComments.length,
+      })),
+      comments,
+      likes,
+      sessions,
+    };
+
+    logger.info('Account data exported', { userId });
+
+    const date = archive.exportedAt.slice(0, 10);
+    res.set('Content-Disposition', `attachment; filename="mern-blog-export-${user.username}-${date}.json"`);
+    res.json({
+      success: true,
+      data: archive,
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Export account data', userId: req.user._id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error exporting account data',
+    });
+  }
+};
+
+// @desc    Schedule deletion of the current user's account
+// @route   DELETE /api/auth/account
+// @access  Private
+const deleteAccount = async (req, res) => {
+  try {
+    const { password, code, posts } = req.body;
+
+    const user = await User.findById(req.user._id);
+
+    if (user.deletion && user.deletion.scheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account deletion is already scheduled',
+      });
+    }
+
+    if (!(await user.comparePassword(password))) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_CREDENTIALS',
+        message: 'Password is incorrect',
+      });
+    }
+
+    if (user.twoFactor && user.twoFactor.enabled && !(await user.verifyTwoFactorCode(code))) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_TWO_FACTOR_CODE',
+        message: 'Invalid two-factor code',
+      });
+    }
+
+    await scheduleAccountDeletion(user, { posts });
+
+    // Sign out everywhere; logging back in cancels the deletion
+    await revokeAllSessions(user._id);
+
+    logger.info('Account deletion scheduled', {
+      userId: user._id,
+      scheduledFor: user.deletion.scheduledFor,
+      posts,
+    });
+
+    res.json({
+      success: true,
+      message: 'Your account is scheduled for deletion. Log in before the scheduled date to cancel.',
+      data: {
+        scheduledFor: user.deletion.scheduledFor,
+        posts,
+      },
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Delete account', userId: req.user._id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting account',
+    });
+  }
+};
+
+module.exports = {
+  exportAccountData,
+  deleteAccount,
+};
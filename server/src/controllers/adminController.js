@@ -0,0 +1,357 @@
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Session = require('../models/Session');
+const { revokeAllSessions } = require('../utils/auth');
+const { sendPasswordResetEmail } = require('../utils/accountEmails');
+const { escapeRegex } = require('../utils/query');
+const { eraseUser } = require('../utils/accountDeletion');
+const { logger, errorLogger } = require('../utils/logger');
+
+// Admins can't change or delete their own account through these endpoints,
+// so an admin can never accidentally lock themselves out
+const rejectSelf = (req, res, action) => {
+  if (req.params.id === req.user._id.toString()) {
+    res.status(400).json({
+      success: false,
+      message: `You cannot ${action} your own account`,
+    });
+    return true;
+  }
+  return false;
+};
+
+// The deleted-user placeholder owns anonymised comments, revisions and posts;
+// changing or deleting it would leave that content pointing at nothing
+const rejectPlaceholder = async (req, res) => {
+  if (await User.exists({ _id: req.params.id, isSystemPlaceholder: true })) {
+    res.status(403).json({
+      success: false,
+      message: 'The deleted-user placeholder account cannot be changed',
+    });
+    return true;
+  }
+  return false;
+};
+
+// @desc    List users with search and pagination
+// @route   GET /api/admin/users
+// @access  Private/Admin
+const getUsers = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    // Build filter object
+    const filter = {};
+
+    if (req.query.role) {
+      filter.role = req.query.role;
+    }
+
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === 'true';
+    }
+
+    if (req.query.search) {
+      const pattern = new RegExp(escapeRegex(req.query.search), 'i');
+      filter.$or = [{ username: pattern }, { email: pattern }];
+    }
+
+    const users = await User.find(filter)
+      .select('-password')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await User.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Admin get users', query: req.query });
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving users',
+    });
+  }
+};
+
+// @desc    Get a single user with activity stats
+// @route   GET /api/admin/users/:id
+// @access  Private/Admin
+const getUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-password');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const postCount = await Post.countDocuments({ author: user._id });
+    const activeSessions = await Session.countDocuments({
+      user: user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        stats: {
+          postCount,
+          activeSessions,
+        },
+      },
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Admin get user', userId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving user',
+    });
+  }
+};
+
+// @desc    Change a user's role
+// @route   PUT /api/admin/users/:id/role
+// @access  Private/Admin
+const updateUserRole = async (req, res) => {
+  try {
+    if (rejectSelf(req, res, 'change the role of')) return;
+    if (await rejectPlaceholder(req, res)) return;
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { role: req.body.role },
+      { new: true, runValidators: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    logger.info('User role changed', { userId: user._id, role: user.role, adminId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'User role updated successfully',
+      data: {
+        user,
+      },
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Admin update role', userId: req.params.id, body: req.body });
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating user role',
+    });
+  }
+};
+
+// @desc    Activate or deactivate a user
+// @route   PUT /api/admin/users/:id/status
+// @access  Private/Admin
+const updateUserStatus = async (req, res) => {
+  try {
+    if (rejectSelf(req, res, 'change the status of')) return;
+    if (await rejectPlaceholder(req, res)) return;
+
+    const { isActive } = req.body;
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { isActive },
+      { new: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    // Deactivated users are signed out everywhere straight away
+    if (!isActive) {
+      await revokeAllSessions(user._id);
+    }
+
+    logger.info('User status changed', { userId: user._id, isActive, adminId: req.user._id });
+
+    res.json({
+      success: true,
+      message: isActive ? 'User activated successfully' : 'User deactivated successfully',
+      data: {
+        user,
+      },
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Admin update status', userId: req.params.id, body: req.body });
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating user status',
+    });
+  }
+};
+
+// @desc    Require a user to reset their password
+// @route   POST /api/admin/users/:id/force-password-reset
+// @access  Private/Admin
+const forcePasswordReset = async (req, res) => {
+  try {
+    if (await rejectPlaceholder(req, res)) return;
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    user.passwordResetRequired = true;
+    await user.save({ validateBeforeSave: false });
+
+    await revokeAllSessions(user._id);
+    await sendPasswordResetEmail(user, { forced: true });
+
+    logger.info('Password reset forced', { userId: user._id, adminId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'User must reset their password. A reset link has been emailed to them.',
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Admin force password reset', userId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error forcing password reset',
+    });
+  }
+};
+
+// @desc    Delete a user, reassigning or removing their posts
+// @route   DELETE /api/admin/users/:id?posts=reassign|delete&reassignTo=:userId
+// @access  Private/Admin
+const deleteUser = async (req, res) => {
+  try {
+    if (rejectSelf(req, res, 'delete')) return;
+    if (await rejectPlaceholder(req, res)) return;
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    let reassignTo;
+
+    if (req.query.posts === 'reassign') {
+      reassignTo = req.query.reassignTo || req.user._id.toString();
+
+      if (reassignTo === user._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Posts cannot be reassigned to the user being deleted',
+        });
+      }
+
+      const newAuthor = await User.findById(reassignTo);
+      if (!newAuthor || !newAuthor.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid user to reassign posts to',
+        });
+      }
+    }
+
+    const { postsAffected } = await eraseUser(user, { posts: req.query.posts, reassignTo });
+
+    logger.info('User deleted', {
+      userId: user._id,
+      posts: req.query.posts,
+      postsAffected,
+      adminId: req.user._id,
+    });
+
+    res.json({
+      success: true,
+      message: 'User deleted successfully',
+      data: {
+        posts: req.query.posts,
+        postsAffected,
+      },
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Admin delete user', userId: req.params.id, query: req.query });
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting user',
+    });
+  }
+};
+
+// @desc    Unlock a locked-out user account
+// @route   POST /api/admin/users/:id/unlock
+// @access  Private/Admin
+const unlockUser = async (req, res) => {
+  try {
+    if (await rejectPlaceholder(req, res)) return;
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    await user.resetLoginAttempts();
+
+    logger.info('User account unlocked', { userId: user._id, adminId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'User account unlocked successfully',
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Unlock user', userId: req.params.id, adminId: req.user._id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error unlocking user',
+    });
+  }
+};
+
+module.exports = {
+  getUsers,
+  getUser,
+  updateUserRole,
+  updateUserStatus,
+  forcePasswordReset,
+  deleteUser,
+  unlockUser,
+};
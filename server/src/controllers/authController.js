@@ -1,6 +1,69 @@
 const User = require('../models/User');
-const { generateToken } = require('../utils/auth');
-const { errorLogger } = require('../utils/logger');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const {
+  generateAuthTokens,
+  rotateRefreshToken,
+  revokeAccessToken,
+  revokeSession,
+  revokeAllSessions,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  generateToken,
+  hashToken,
+} = require('../utils/auth');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/accountEmails');
+const { getPermissions } = require('../config/permissions');
+const { processAvatar, storeAvatar, removeAvatarFiles } = require('../utils/avatar');
+const { logger, errorLogger } = require('../utils/logger');
+
+// Respond to a credential check against a locked account
+const sendAccountLocked = (res, user) => {
+  return res.status(423).json({
+    success: false,
+    code: 'ACCOUNT_LOCKED',
+    message: 'Account is temporarily locked due to too many failed attempts. Please try again later.',
+    lockUntil: user.lockUntil,
+  });
+};
+
+// Issue tokens for a fully authenticated user and send the login response
+const completeLogin = async (req, res, user, message = 'Login successful') => {
+  // Generate tokens
+  const { token, refreshToken } = await generateAuthTokens(user, req);
+
+  // Update last login and clear failed attempts
+  user.lastLogin = new Date();
+  user.failedLoginAttempts = 0;
+  user.lockCount = 0;
+  user.lockUntil = undefined;
+
+  // Logging in during the grace period cancels a pending account deletion
+  const accountDeletionCancelled = Boolean(user.deletion && user.deletion.scheduledFor);
+  if (accountDeletionCancelled) {
+    user.deletion = undefined;
+    logger.info('Account deletion cancelled by login', { userId: user._id });
+  }
+
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message,
+    data: {
+      ...(accountDeletionCancelled && { accountDeletionCancelled }),
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+        emailVerified: user.emailVerified,
+      },
+      token,
+      refreshToken,
+    },
+  });
+};
 
 // @desc    Register user
 // @route   POST /api/auth/register
@@ -28,8 +91,15 @@ const register = async (req, res) => {
       password,
     });
 
-    // Generate token
-    const token = generateToken(user._id);
+    // A mail failure shouldn't fail registration; the user can request a new link
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      errorLogger(mailError, { context: 'Send verification email', userId: user._id });
+    }
+
+    // Generate tokens
+    const { token, refreshToken } = await generateAuthTokens(user, req);
 
     res.status(201).json({
       success: true,
@@ -40,8 +110,10 @@ const register = async (req, res) => {
           username: user.username,
           email: user.email,
           role: user.role,
+          emailVerified: user.emailVerified,
         },
         token,
+        refreshToken,
       },
     });
   } catch (error) {
@@ -63,9 +135,23 @@ const login = async (req, res) => {
     // Find user by email or username
     const user = await User.findByEmailOrUsername(email);
 
+    if (user && user.isLocked) {
+      return sendAccountLocked(res, user);
+    }
+
     if (!user || !(await user.comparePassword(password))) {
+      if (user) {
+        await user.registerFailedLogin();
+
+        if (user.isLocked) {
+          logger.warn('Account locked after repeated failed logins', { userId: user._id, ip: req.ip });
+          return sendAccountLocked(res, user);
+        }
+      }
+
       return res.status(401).json({
         success: false,
+        code: 'INVALID_CREDENTIALS',
         message: 'Invalid credentials',
       });
     }
@@ -77,31 +163,196 @@ const login = async (req, res) => {
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    if (user.passwordResetRequired) {
+      return res.status(403).json({
+        success: false,
+        code: 'PASSWORD_RESET_REQUIRED',
+        message: 'You must reset your password before logging in. Check your email for a reset link.',
+      });
+    }
+
+    // Password is correct; a second factor is still needed before issuing tokens
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateTwoFactorChallenge(user._id),
+        },
+      });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    errorLogger(error, { context: 'User login', body: req.body });
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login',
+    });
+  }
+};
+
+// @desc    Complete login with a two-factor code
+// @route   POST /api/auth/2fa/verify
+// @access  Public
+const loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    let challenge;
+    try {
+      challenge = verifyTwoFactorChallenge(challengeToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        code: 'INVALID_CHALLENGE',
+        message: 'Two-factor challenge is invalid or has expired. Please log in again.',
+      });
+    }
+
+    const user = await User.findById(challenge.userId);
+
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        code: 'INVALID_CHALLENGE',
+        message: 'Two-factor challenge is invalid or has expired. Please log in again.',
+      });
+    }
+
+    if (user.isLocked) {
+      return sendAccountLocked(res, user);
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    if (!(await user.verifyTwoFactorCode(code))) {
+      await user.registerFailedLogin();
+
+      if (user.isLocked) {
+        logger.warn('Account locked after repeated failed two-factor codes', { userId: user._id, ip: req.ip });
+        return sendAccountLocked(res, user);
+      }
+
+      return res.status(401).json({
+        success: false,
+        code: 'INVALID_TWO_FACTOR_CODE',
+        message: 'Invalid two-factor code',
+      });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    errorLogger(error, { context: 'Two-factor login' });
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login',
+    });
+  }
+};
+
+// @desc    Exchange refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+const refresh = async (req, res) => {
+  try {
+    const result = await rotateRefreshToken(req.body.refreshToken);
+
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token is invalid or has expired',
+      });
+    }
+
+    if (result.reused) {
+      logger.warn('Refresh token reuse detected, token family revoked', { userId: result.userId });
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has already been used. Please log in again.',
+      });
+    }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save({ validateBeforeSave: false });
+    const user = await User.findById(result.userId);
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated',
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Login successful',
+      message: 'Token refreshed successfully',
       data: {
-        user: {
-          id: user._id,
-          username: user.username,
-          email: user.email,
-          role: user.role,
-        },
-        token,
+        token: generateToken(user._id, user.tokenVersion, result.sessionId),
+        refreshToken: result.refreshToken,
       },
     });
   } catch (error) {
-    errorLogger(error, { context: 'User login', body: req.body });
+    errorLogger(error, { context: 'Refresh token' });
     res.status(500).json({
       success: false,
-      message: 'Server error during login',
+      message: 'Server error refreshing token',
+    });
+  }
+};
+
+// @desc    Logout current session
+// @route   POST /api/auth/logout
+// @access  Private
+const logout = async (req, res) => {
+  try {
+    await revokeAccessToken(req.auth);
+
+    if (req.auth.sid) {
+      await revokeSession(req.auth.sid);
+    }
+
+    const { refreshToken } = req.body;
+    if (refreshToken) {
+      const storedToken = await RefreshToken.findOne({
+        tokenHash: hashToken(refreshToken),
+        user: req.user._id,
+      });
+
+      if (storedToken) {
+        await RefreshToken.revokeFamily(storedToken.family);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Logout', userId: req.user._id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout',
+    });
+  }
+};
+
+// @desc    Logout from all sessions
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutAll = async (req, res) => {
+  try {
+    await revokeAllSessions(req.user._id);
+
+    logger.info('All sessions revoked', { userId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Logged out from all sessions',
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Logout all', userId: req.user._id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout',
     });
   }
 };
@@ -117,6 +368,7 @@ const getMe = async (req, res) => {
       success: true,
       data: {
         user,
+        permissions: getPermissions(user.role),
       },
     });
   } catch (error) {
@@ -165,6 +417,82 @@ const updateProfile = async (req, res) => {
   }
 };
 
+// @desc    Upload profile avatar
+// @route   POST /api/auth/profile/avatar
+// @access  Private
+const uploadAvatar = async (req, res) => {
+  try {
+    let variants;
+    try {
+      variants = await processAvatar(req.file.buffer);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Uploaded file is not a valid image',
+      });
+    }
+
+    const { urls, keys } = await storeAvatar(req.user._id, variants);
+
+    const previous = await User.findByIdAndUpdate(req.user._id, {
+      'profile.avatar': urls.large,
+      'profile.avatarVariants': urls,
+      avatarKeys: keys,
+    });
+
+    // Clean up the files of the avatar being replaced
+    await removeAvatarFiles(previous.avatarKeys);
+
+    const user = await User.findById(req.user._id).select('-password');
+
+    logger.info('Avatar updated', { userId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Avatar updated successfully',
+      data: {
+        user,
+      },
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Upload avatar', userId: req.user._id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error uploading avatar',
+    });
+  }
+};
+
+// @desc    Remove profile avatar
+// @route   DELETE /api/auth/profile/avatar
+// @access  Private
+const deleteAvatar = async (req, res) => {
+  try {
+    const previous = await User.findByIdAndUpdate(req.user._id, {
+      $unset: { 'profile.avatar': 1, 'profile.avatarVariants': 1 },
+      avatarKeys: [],
+    });
+
+    await removeAvatarFiles(previous.avatarKeys);
+
+    const user = await User.findById(req.user._id).select('-password');
+
+    res.json({
+      success: true,
+      message: 'Avatar removed successfully',
+      data: {
+        user,
+      },
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Delete avatar', userId: req.user._id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing avatar',
+    });
+  }
+};
+
 // @desc    Change password
 // @route   PUT /api/auth/change-password
 // @access  Private
@@ -174,16 +502,30 @@ const changePassword = async (req, res) => {
 
     const user = await User.findById(req.user._id);
 
+    if (user.isLocked) {
+      return sendAccountLocked(res, user);
+    }
+
     // Check current password
     if (!(await user.comparePassword(currentPassword))) {
+      await user.registerFailedLogin();
+
+      if (user.isLocked) {
+        logger.warn('Account locked after repeated failed password changes', { userId: user._id, ip: req.ip });
+        return sendAccountLocked(res, user);
+      }
+
       return res.status(400).json({
         success: false,
+        code: 'INVALID_CREDENTIALS',
         message: 'Current password is incorrect',
       });
     }
 
     // Update password
     user.password = newPassword;
+    user.failedLoginAttempts = 0;
+    user.lockCount = 0;
     await user.save();
 
     res.json({
@@ -199,10 +541,181 @@ const changePassword = async (req, res) => {
   }
 };
 
+// @desc    Request password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+
+    // Respond the same way whether or not the account exists to avoid leaking registered emails
+    if (user && user.isActive) {
+      await sendPasswordResetEmail(user);
+
+      logger.info('Password reset requested', { userId: user._id });
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account with that email exists, a password reset link has been sent',
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Forgot password', email: req.body.email });
+    res.status(500).json({
+      success: false,
+      message: 'Server error requesting password reset',
+    });
+  }
+};
+
+// @desc    Reset password with emailed token
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+const resetPassword = async (req, res) => {
+  try {
+    const hashedToken = hashToken(req.params.token);
+
+    // Claim the token atomically so it can only ever be used once. Proving
+    // control of the email also lifts a lockout, including for 2FA accounts
+    // that still have to pass the challenge.
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetToken: hashedToken,
+        passwordResetExpires: { $gt: new Date() },
+      },
+      {
+        $set: { passwordResetRequired: false, failedLoginAttempts: 0, lockCount: 0 },
+        $unset: { passwordResetToken: 1, passwordResetExpires: 1, lockUntil: 1 },
+        $inc: { tokenVersion: 1 },
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset token is invalid or has expired',
+      });
+    }
+
+    user.password = req.body.password;
+    await user.save();
+
+    // End every existing session; whoever had the old password shouldn't stay signed in
+    await RefreshToken.revokeAllForUser(user._id);
+    await Session.revokeAllForUser(user._id);
+
+    logger.info('Password reset completed', { userId: user._id });
+
+    // An emailed link alone must not bypass the second factor
+    if (user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Password reset successful',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateTwoFactorChallenge(user._id),
+        },
+      });
+    }
+
+    // Signing in through the reset link is a full login, so it also cancels a pending deletion
+    await completeLogin(req, res, user, 'Password reset successful');
+  } catch (error) {
+    errorLogger(error, { context: 'Reset password' });
+    res.status(500).json({
+      success: false,
+      message: 'Server error resetting password',
+    });
+  }
+};
+
+// @desc    Verify email address
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+const verifyEmail = async (req, res) => {
+  try {
+    const hashedToken = hashToken(req.params.token);
+
+    const user = await User.findOneAndUpdate(
+      {
+        emailVerificationToken: hashedToken,
+        emailVerificationExpires: { $gt: new Date() },
+      },
+      {
+        $set: { emailVerified: true },
+        $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 },
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is invalid or has expired',
+      });
+    }
+
+    logger.info('Email verified', { userId: user._id });
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Verify email' });
+    res.status(500).json({
+      success: false,
+      message: 'Server error verifying email',
+    });
+  }
+};
+
+// @desc    Resend email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified',
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent',
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Resend verification', userId: req.user._id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending verification email',
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
+  loginTwoFactor,
+  refresh,
+  logout,
+  logoutAll,
   getMe,
   updateProfile,
+  uploadAvatar,
+  deleteAvatar,
   changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
 };
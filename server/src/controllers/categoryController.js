@@ -0,0 +1,567 @@
+const Category = require('../models/Category');
+const Post = require('../models/Post');
+const { PERMISSIONS } = require('../config/permissions');
+const { escapeRegex } = require('../utils/query');
+const { buildTree, wouldCreateCycle } = require('../utils/categoryTree');
+const { logger, errorLogger } = require('../utils/logger');
+
+const canManageCategories = (user) => Boolean(user && user.can(PERMISSIONS.CATEGORY_MANAGE));
+
+// Category names are unique regardless of case
+const findNameConflict = (name, excludeId) => {
+  const filter = { name: new RegExp(`^${escapeRegex(name.trim())}$`, 'i') };
+  if (excludeId) {
+    filter._id = { $ne: excludeId };
+  }
+  return Category.findOne(filter);
+};
+
+// Check a requested parent exists and wouldn't put the category inside its
+// own subtree, sending the error response if not. categoryId is omitted for
+// categories that don't exist yet.
+const validateParent = async (res, parentId, categoryId) => {
+  if (!parentId) {
+    return true;
+  }
+
+  if (categoryId && parentId === categoryId) {
+    res.status(400).json({
+      success: false,
+      message: 'A category cannot be its own parent',
+    });
+    return false;
+  }
+
+  const categories = await Category.find().select('parent');
+
+  if (!categories.some(category => category._id.toString() === parentId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Parent category not found',
+    });
+    return false;
+  }
+
+  if (categoryId && wouldCreateCycle(categories, categoryId, parentId)) {
+    res.status(400).json({
+      success: false,
+      message: 'A category cannot be moved under one of its own subcategories',
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// @desc    List categories, flat or as a tree
+// @route   GET /api/categories
+// @access  Public (inactive categories: admin)
+const getCategories = async (req, res) => {
+  try {
+    const includeInactive = req.query.includeInactive === 'true' && canManageCategories(req.user);
+    const filter = includeInactive ? {} : { isActive: true };
+
+    const categories = await Category.find(filter).sort({ order: 1, name: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        categories: req.query.tree === 'true' ? buildTree(categories) : categories,
+      },
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Get categories', query: req.query });
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving categories',
+    });
+  }
+};
+
+// @desc    Get the full category tree
+// @route   GET /api/categories/tree
+// @access  Public (inactive categories: admin)
+const getCategoryTree = async (req, res) => {
+  try {
+    const includeInactive = req.query.includeInactive === 'true' && canManageCategories(req.user);
+    const filter = includeInactive ? {} : { isActive: true };
+
+    // One query; the nesting happens in memory
+    const categories = await Category.find(filter).sort({ order: 1, name: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        tree: buildTree(categories),
+      },
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Get category tree', query: req.query });
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving category tree',
+    });
+  }
+};
+
+// @desc    Get category by slug with its parent, subcategories and breadcrumbs
+// @route   GET /api/categories/:slug
+// @access  Public (inactive categories: admin)
+const getCategory = async (req, res) => {
+  try {
+    const slug = req.params.slug.toLowerCase();
+    const { category, redirected } = await Category.findBySlug(slug);
+
+    if (!category || (!category.isActive && !canManageCategories(req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found',
+      });
+    }
+
+    await category.populate('parent', 'name slug');
+    const subcategories = await Category.findSubcategories(category._id);
+    const breadcrumbs = await Category.getBreadcrumbs(category._id);
+
+    res.json({
+      success: true,
+      data: {
+        category,
+        subcategories,
+        breadcrumbs,
+        // Slugs of merged categories point at the category they were merged into
+        ...(redirected && { redirect: { from: slug, to: category.slug } }),
+      },
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Get category', slug: req.params.slug });
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving category',
+    });
+  }
+};
+
+// @desc    Create category
+// @route   POST /api/categories
+// @access  Private/Admin
+const createCategory = async (req, res) => {
+  try {
+    const { name, description, color, icon, parent, order } = req.body;
+
+    if (await findNameConflict(name)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category already exists',
+      });
+    }
+
+    if (!(await validateParent(res, parent))) return;
+
+    const category = await Category.create({
+      name,
+      description,
+      color,
+      icon,
+      parent: parent || null,
+      order,
+    });
+
+    logger.info('Category created', { categoryId: category._id, adminId: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: {
+        category,
+      },
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Create category', body: req.body });
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating category',
+    });
+  }
+};
+
+// @desc    Update category
+// @route   PUT /api/categories/:id
+// @access  Private/Admin
+const updateCategory = async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found',
+      });
+    }
+
+    const { name, description, color, icon, parent, order } = req.body;
+
+    if (name && await findNameConflict(name, category._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category already exists',
+      });
+    }
+
+    if (!(await validateParent(res, parent, req.params.id))) return;
+
+    const updates = { name, description, color, icon, order };
+    // null moves the category to the top level
+    if (parent !== undefined) {
+      updates.parent = parent || null;
+    }
+
+    // Save the document so the slug is regenerated when the name changes
+    Object.entries(updates).forEach(([field, value]) => {
+      if (value !== undefined) {
+        category.set(field, value);
+      }
+    });
+    await category.save();
+
+    logger.info('Category updated', { categoryId: category._id, adminId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      data: {
+        category,
+      },
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Update category', categoryId: req.params.id, body: req.body });
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating category',
+    });
+  }
+};
+
+// @desc    Set the display order of categories
+// @route   PUT /api/categories/reorder
+// @access  Private/Admin
+const reorderCategories = async (req, res) => {
+  try {
+    const ids = [...new Set(req.body.ids)];
+
+    if ((await Category.countDocuments({ _id: { $in: ids } })) !== ids.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more categories not found',
+      });
+    }
+
+    // Categories take their position in the list as their order
+    await Category.bulkWrite(ids.map((id, index) => ({
+      updateOne: {
+        filter: { _id: id },
+        update: { $set: { order: index } },
+      },
+    })));
+
+    const categories = await Category.find({ _id: { $in: ids } }).sort({ order: 1 });
+
+    logger.info('Categories reordered', { count: ids.length, adminId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Categories reordered successfully',
+      data: {
+        categories,
+      },
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Reorder categories', body: req.body });
+    res.status(500).json({
+      success: false,
+      message: 'Server error reordering categories',
+    });
+  }
+};
+
+// @desc    Activate or deactivate category
+// @route   PUT /api/categories/:id/status
+// @access  Private/Admin
+const updateCategoryStatus = async (req, res) => {
+  try {
+    const { isActive } = req.body;
+
+    const category = await Category.findByIdAndUpdate(
+      req.params.id,
+      { isActive },
+      { new: true }
+    );
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found',
+      });
+    }
+
+    logger.info('Category status changed', { categoryId: category._id, isActive, adminId: req.user._id });
+
+    res.json({
+      success: true,
+      message: isActive ? 'Category activated successfully' : 'Category deactivated successfully',
+      data: {
+        category,
+      },
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Update category status', categoryId: req.params.id, body: req.body });
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating category status',
+    });
+  }
+};
+
+// @desc    Delete category, optionally moving its posts to another category
+// @route   DELETE /api/categories/:id?reassignTo=<categoryId>
+// @access  Private/Admin
+const deleteCategory = async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found',
+      });
+    }
+
+    // Trashed posts still need a category if they are restored
+    const postCount = await Post.countDocuments({ category: category._id }).setOptions({ withDeleted: true });
+    const { reassignTo } = req.query;
+    let target = null;
+
+    if (postCount > 0) {
+      if (!reassignTo) {
+        return res.status(400).json({
+          success: false,
+          message: 'Category has posts. Provide reassignTo to move them to another category',
+        });
+      }
+
+      target = reassignTo !== req.params.id && await Category.findById(reassignTo);
+      if (!target) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid category to reassign posts to',
+        });
+      }
+
+      await Post.updateMany({ category: category._id }, { category: target._id });
+    }
+
+    // Subcategories move up to the deleted category's parent
+    await Category.updateMany({ parent: category._id }, { parent: category.parent });
+    await category.deleteOne();
+
+    if (target) {
+      await target.updatePostCount();
+    }
+
+    logger.info('Category deleted', {
+      categoryId: category._id,
+      reassignedPosts: postCount,
+      reassignTo: target && target._id,
+      adminId: req.user._id,
+    });
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully',
+      data: {
+        reassignedPosts: postCount,
+      },
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Delete category', categoryId: req.params.id, query: req.query });
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting category',
+    });
+  }
+};
+
+// @desc    Merge a category into another, moving its posts and subcategories
+// @route   POST /api/categories/:id/merge
+// @access  Private (admin)
+const mergeCategory = async (req, res) => {
+  try {
+    const { into } = req.body;
+
+    if (into === req.params.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'A category cannot be merged into itself',
+      });
+    }
+
+    const [source, target] = await Promise.all([
+      Category.findById(req.params.id),
+      Category.findById(into),
+    ]);
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found',
+      });
+    }
+
+    if (!target) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid category to merge into',
+      });
+    }
+
+    // The source's subcategories move under the target, so the target can't be one of them
+    const descendantIds = await Category.getDescendantIds(source._id);
+    if (descendantIds.some(id => id.equals(target._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'A category cannot be merged into one of its own subcategories',
+      });
+    }
+
+    // updateMany isn't trash-filtered, so trashed posts move too
+    const { modifiedCount: movedPosts } = await Post.updateMany(
+      { category: source._id },
+      { category: target._id }
+    );
+    const { modifiedCount: movedSubcategories } = await Category.updateMany(
+      { parent: source._id },
+      { parent: target._id }
+    );
+
+    await source.deleteOne();
+
+    target.previousSlugs.addToSet(source.slug, ...source.previousSlugs);
+    await target.updatePostCount();
+
+    logger.info('Category merged', {
+      categoryId: source._id,
+      into: target._id,
+      movedPosts,
+      movedSubcategories,
+      adminId: req.user._id,
+    });
+
+    res.json({
+      success: true,
+      message: 'Category merged successfully',
+      data: {
+        category: target,
+        movedPosts,
+        movedSubcategories,
+      },
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Merge category', categoryId: req.params.id, body: req.body });
+    res.status(500).json({
+      success: false,
+      message: 'Server error merging category',
+    });
+  }
+};
+
+// @desc    Split selected posts out of a category into a new category
+// @route   POST /api/categories/:id/split
+// @access  Private (admin)
+const splitCategory = async (req, res) => {
+  try {
+    const source = await Category.findById(req.params.id);
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found',
+      });
+    }
+
+    const { name, description, color, icon, parent, postIds, tags } = req.body;
+
+    if (await findNameConflict(name)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category already exists',
+      });
+    }
+
+    // The new category sits alongside the source unless told otherwise
+    const parentId = parent === undefined ? source.parent : parent;
+    if (!(await validateParent(res, parentId && parentId.toString()))) return;
+
+    const filter = { category: source._id };
+    if (postIds) {
+      filter._id = { $in: postIds };
+    }
+    if (tags) {
+      filter.tags = { $in: tags };
+    }
+
+    const matched = await Post.countDocuments(filter).setOptions({ withDeleted: true });
+    if (matched === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No posts in this category match the filter',
+      });
+    }
+
+    const category = await Category.create({
+      name,
+      description,
+      color,
+      icon,
+      parent: parentId || null,
+    });
+
+    const { modifiedCount: movedPosts } = await Post.updateMany(filter, { category: category._id });
+
+    await Promise.all([source.updatePostCount(), category.updatePostCount()]);
+
+    logger.info('Category split', {
+      categoryId: source._id,
+      newCategoryId: category._id,
+      movedPosts,
+      adminId: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Category split successfully',
+      data: {
+        category,
+        movedPosts,
+      },
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Split category', categoryId: req.params.id, body: req.body });
+    res.status(500).json({
+      success: false,
+      message: 'Server error splitting category',
+    });
+  }
+};
+
+module.exports = {
+  getCategories,
+  getCategoryTree,
+  getCategory,
+  createCategory,
+  updateCategory,
+  reorderCategories,
+  updateCategoryStatus,
+  deleteCategory,
+  mergeCategory,
+  splitCategory,
+};
@@ -1,7 +1,30 @@
 const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
 const Category = require('../models/Category');
+const { PERMISSIONS } = require('../config/permissions');
+const { getPurgeDate, purgeTrashedPosts } = require('../utils/trash');
+const { renderMarkdown } = require('../utils/markdown');
+const { searchPosts } = require('../utils/search');
+const { parseTagList } = require('../utils/tags');
 const { performanceLogger, errorLogger, dbLogger } = require('../utils/logger');
 
+const PUBLISHING_STATUSES = ['published', 'scheduled'];
+
+// Work out publishedAt for a post moving to `status`. Published posts keep
+// their original publish time; drafts have none until they go live.
+const resolvePublishedAt = (status, publishedAt, currentPost) => {
+  switch (status) {
+    case 'scheduled':
+      return new Date(publishedAt);
+    case 'published':
+      return currentPost && currentPost.status === 'published' ? currentPost.publishedAt : new Date();
+    case 'archived':
+      return currentPost ? currentPost.publishedAt : null;
+    default:
+      return null;
+  }
+};
+
 // @desc    Get all posts
 // @route   GET /api/posts
 // @access  Public
@@ -17,18 +40,43 @@ const getPosts = async (req, res) => {
     const filter = { status: 'published' };
 
     if (req.query.category) {
-      filter.category = req.query.category;
+      // includeDescendants also matches posts in any subcategory
+      filter.category = req.query.includeDescendants === 'true'
+        ? { $in: await Category.getDescendantIds(req.query.category) }
+        : req.query.category;
     }
 
     if (req.query.author) {
       filter.author = req.query.author;
     }
 
+    const tags = parseTagList(req.query.tags);
+    if (tags.length > 0) {
+      // Posts with any of the tags by default, or every tag with tagMatch=all
+      filter.tags = req.query.tagMatch === 'all' ? { $all: tags } : { $in: tags };
+    }
+
     if (req.query.search) {
-      filter.$or = [
-        { title: { $regex: req.query.search, $options: 'i' } },
-        { content: { $regex: req.query.search, $options: 'i' } },
-      ];
+      const { posts, total, mode } = await searchPosts(filter, req.query.search, { skip, limit });
+
+      performanceLogger('getPosts', startTime, { count: posts.length, total, search: mode });
+
+      return res.json({
+        success: true,
+        data: {
+          posts,
+          search: {
+            query: req.query.search,
+            mode,
+          },
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit),
+          },
+        },
+      });
     }
 
     const posts = await Post.find(filter)
@@ -63,19 +111,79 @@ const getPosts = async (req, res) => {
   }
 };
 
+// @desc    Get current user's posts in any status
+// @route   GET /api/posts/mine
+// @access  Private
+const getMyPosts = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = { author: req.user._id };
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const posts = await Post.find(filter)
+      .populate('category', 'name')
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Post.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        posts,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Get my posts', query: req.query, userId: req.user._id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving your posts',
+    });
+  }
+};
+
+// Unpublished posts are only visible to their author and editors
+const canViewPost = (post, user) => {
+  if (!post) {
+    return false;
+  }
+  if (post.status === 'published') {
+    return true;
+  }
+
+  const authorId = post.author._id || post.author;
+  return Boolean(user && (authorId.toString() === user._id.toString() || user.can(PERMISSIONS.POST_EDIT_ANY)));
+};
+
+const POST_DETAIL_POPULATE = [
+  { path: 'author', select: 'username profile' },
+  { path: 'category', select: 'name' },
+  { path: 'comments.user', select: 'username' },
+];
+
 // @desc    Get single post
 // @route   GET /api/posts/:id
-// @access  Public
+// @access  Public (unpublished posts: author or editor)
 const getPost = async (req, res) => {
   try {
     const startTime = Date.now();
 
-    const post = await Post.findById(req.params.id)
-      .populate('author', 'username profile')
-      .populate('category', 'name')
-      .populate('comments.user', 'username');
+    const post = await Post.findById(req.params.id).populate(POST_DETAIL_POPULATE);
 
-    if (!post) {
+    if (!canViewPost(post, req.user)) {
       return res.status(404).json({
         success: false,
         message: 'Post not found',
@@ -103,6 +211,61 @@ const getPost = async (req, res) => {
   }
 };
 
+// @desc    Get single post by slug
+// @route   GET /api/posts/slug/:slug
+// @access  Public (unpublished posts: author or editor)
+const getPostBySlug = async (req, res) => {
+  try {
+    const startTime = Date.now();
+    const slug = req.params.slug.toLowerCase();
+
+    const { post, redirected } = await Post.findBySlug(slug);
+
+    if (!canViewPost(post, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found',
+      });
+    }
+
+    await post.populate(POST_DETAIL_POPULATE);
+
+    // Old slugs return the post with a hint to move to the current URL;
+    // the view is counted when the client follows it
+    if (redirected) {
+      return res.json({
+        success: true,
+        data: {
+          post,
+          redirect: {
+            from: slug,
+            to: post.slug,
+          },
+        },
+      });
+    }
+
+    // Increment view count
+    post.views += 1;
+    await post.save({ validateBeforeSave: false });
+
+    performanceLogger('getPostBySlug', startTime, { slug });
+
+    res.json({
+      success: true,
+      data: {
+        post,
+      },
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Get post by slug', slug: req.params.slug });
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving post',
+    });
+  }
+};
+
 // @desc    Create new post
 // @route   POST /api/posts
 // @access  Private
@@ -110,7 +273,16 @@ const createPost = async (req, res) => {
   try {
     const startTime = Date.now();
 
-    const { title, content, category, tags, status } = req.body;
+    const { title, content, category, tags, publishedAt } = req.body;
+    // Without an explicit status, posts go live only for users allowed to publish
+    const status = req.body.status || (req.user.can(PERMISSIONS.POST_PUBLISH) ? 'published' : 'draft');
+
+    if (PUBLISHING_STATUSES.includes(status) && !req.user.can(PERMISSIONS.POST_PUBLISH)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to publish posts',
+      });
+    }
 
     // Verify category exists
     const categoryExists = await Category.findById(category);
@@ -121,14 +293,18 @@ const createPost = async (req, res) => {
       });
     }
 
-    const post = await Post.create({
+    const post = new Post({
       title,
       content,
       category,
       author: req.user._id,
       tags: tags || [],
-      status: status || 'published',
+      status,
+      publishedAt: resolvePublishedAt(status, publishedAt),
     });
+    await post.saveWithUniqueSlug();
+
+    await PostRevision.record(post, req.user._id);
 
     await post.populate('author', 'username');
     await post.populate('category', 'name');
@@ -155,6 +331,26 @@ const createPost = async (req, res) => {
   }
 };
 
+// @desc    Render Markdown content to sanitised HTML without saving
+// @route   POST /api/posts/preview
+// @access  Private
+const previewPost = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        contentHtml: renderMarkdown(req.body.content),
+      },
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Preview post', userId: req.user._id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error rendering preview',
+    });
+  }
+};
+
 // @desc    Update post
 // @route   PUT /api/posts/:id
 // @access  Private
@@ -171,15 +367,31 @@ const updatePost = async (req, res) => {
       });
     }
 
-    // Check ownership
-    if (post.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Authors may edit their own posts; editors and admins may edit any
+    const isOwner = post.author.toString() === req.user._id.toString();
+    if (!isOwner && !req.user.can(PERMISSIONS.POST_EDIT_ANY)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this post',
       });
     }
 
-    const { title, content, category, tags, status } = req.body;
+    const { title, content, category, tags, status, publishedAt } = req.body;
+    const nextStatus = status || post.status;
+
+    if (PUBLISHING_STATUSES.includes(nextStatus) && nextStatus !== post.status && !req.user.can(PERMISSIONS.POST_PUBLISH)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to publish posts',
+      });
+    }
+
+    if (nextStatus === 'scheduled' && publishedAt && new Date(publishedAt) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scheduled posts must have a publishedAt date in the future',
+      });
+    }
 
     // Verify category if provided
     if (category) {
@@ -192,17 +404,48 @@ const updatePost = async (req, res) => {
       }
     }
 
-    const updatedPost = await Post.findByIdAndUpdate(
-      req.params.id,
-      {
-        title,
-        content,
-        category,
-        tags,
-        status,
-      },
-      { new: true, runValidators: true }
-    ).populate('author', 'username').populate('category', 'name');
+    const updates = {
+      title,
+      content,
+      category,
+      tags,
+      status,
+    };
+
+    // Moving between statuses, or rescheduling, changes the publish time
+    if (nextStatus !== post.status || (nextStatus === 'scheduled' && publishedAt)) {
+      updates.publishedAt = resolvePublishedAt(nextStatus, publishedAt, post);
+    }
+
+    // Posts created before revision tracking get their current state as revision 1
+    if (!(await PostRevision.exists({ post: post._id }))) {
+      await PostRevision.record(post, post.author);
+    }
+
+    const previousStatus = post.status;
+    const previousCategory = post.category.toString();
+
+    // Save the document (rather than findByIdAndUpdate) so the slug and
+    // Markdown rendering hooks run
+    Object.entries(updates).forEach(([field, value]) => {
+      if (value !== undefined) {
+        post.set(field, value);
+      }
+    });
+    await post.saveWithUniqueSlug();
+
+    const updatedPost = await post.populate([
+      { path: 'author', select: 'username' },
+      { path: 'category', select: 'name' },
+    ]);
+
+    await PostRevision.record(updatedPost, req.user._id);
+
+    // Update category post counts when visibility or category changed
+    if (nextStatus !== previousStatus || (category && category !== previousCategory)) {
+      const categories = await Category.find({ _id: { $in: [previousCategory, category || previousCategory] } });
+      await Promise.all(categories.map(categoryDoc => categoryDoc.updatePostCount()));
+    }
 
     dbLogger('update', 'posts', { postId: req.params.id }, updatedPost._id);
     performanceLogger('updatePost', startTime, { postId: req.params.id });
@@ -239,15 +482,17 @@ const deletePost = async (req, res) => {
       });
     }
 
-    // Check ownership
-    if (post.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Authors may delete their own posts; admins may delete any
+    const isOwner = post.author.toString() === req.user._id.toString();
+    if (!isOwner && !req.user.can(PERMISSIONS.POST_DELETE_ANY)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this post',
       });
     }
 
-    await Post.findByIdAndDelete(req.params.id);
+    // Deleting moves the post to the trash; it can be restored until purged
+    await post.moveToTrash(req.user._id);
 
     // Update category post count
     const category = await Category.findById(post.category);
@@ -261,6 +506,10 @@ const deletePost = async (req, res) => {
     res.json({
       success: true,
       message: 'Post deleted successfully',
+      data: {
+        deletedAt: post.deletedAt,
+        purgeAt: getPurgeDate(post.deletedAt),
+      },
     });
   } catch (error) {
     errorLogger(error, { context: 'Delete post', postId: req.params.id });
@@ -271,6 +520,142 @@ const deletePost = async (req, res) => {
   }
 };
 
+// Load a trashed post the current user may restore or purge, sending the
+// error response if not. Authors manage their own trash; admins anyone's.
+const findTrashedPost = async (req, res) => {
+  const post = await Post.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+  if (!post) {
+    res.status(404).json({
+      success: false,
+      message: 'Post not found in trash',
+    });
+    return null;
+  }
+
+  const isOwner = post.author.toString() === req.user._id.toString();
+  if (!isOwner && !req.user.can(PERMISSIONS.POST_DELETE_ANY)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage this post',
+    });
+    return null;
+  }
+
+  return post;
+};
+
+// @desc    Get trashed posts (own posts, or all posts for admins)
+// @route   GET /api/posts/trash
+// @access  Private
+const getTrash = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = { deletedAt: { $ne: null } };
+
+    if (!req.user.can(PERMISSIONS.POST_DELETE_ANY)) {
+      filter.author = req.user._id;
+    }
+
+    const posts = await Post.find(filter)
+      .populate('author', 'username')
+      .populate('category', 'name')
+      .populate('deletedBy', 'username')
+      .sort({ deletedAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Post.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        posts: posts.map(post => ({
+          ...post.toJSON(),
+          purgeAt: getPurgeDate(post.deletedAt),
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Get trash', query: req.query, userId: req.user._id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving trash',
+    });
+  }
+};
+
+// @desc    Restore a post from the trash
+// @route   POST /api/posts/:id/restore
+// @access  Private (author or admin)
+const restorePost = async (req, res) => {
+  try {
+    const post = await findTrashedPost(req, res);
+    if (!post) return;
+
+    await post.restoreFromTrash();
+
+    // Update category post count
+    const category = await Category.findById(post.category);
+    if (category) {
+      await category.updatePostCount();
+    }
+
+    await post.populate('author', 'username');
+    await post.populate('category', 'name');
+
+    dbLogger('restore', 'posts', { postId: req.params.id });
+
+    res.json({
+      success: true,
+      message: 'Post restored successfully',
+      data: {
+        post,
+      },
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Restore post', postId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error restoring post',
+    });
+  }
+};
+
+// @desc    Permanently delete a post from the trash
+// @route   DELETE /api/posts/trash/:id
+// @access  Private (author or admin)
+const purgePost = async (req, res) => {
+  try {
+    const post = await findTrashedPost(req, res);
+    if (!post) return;
+
+    await purgeTrashedPosts({ _id: post._id });
+
+    dbLogger('purge', 'posts', { postId: req.params.id });
+
+    res.json({
+      success: true,
+      message: 'Post permanently deleted',
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Purge post', postId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error permanently deleting post',
+    });
+  }
+};
+
 // @desc    Add like to post
 // @route   POST /api/posts/:id/like
 // @access  Private
@@ -369,13 +754,72 @@ const addComment = async (req, res) => {
   }
 };
 
+// @desc    Delete comment from post
+// @route   DELETE /api/posts/:id/comments/:commentId
+// @access  Private (comment author or moderator)
+const deleteComment = async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id);
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found',
+      });
+    }
+
+    const comment = post.comments.id(req.params.commentId);
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found',
+      });
+    }
+
+    const isOwner = comment.user.toString() === req.user._id.toString();
+    if (!isOwner && !req.user.can(PERMISSIONS.COMMENT_MODERATE)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this comment',
+      });
+    }
+
+    comment.deleteOne();
+    await post.save();
+
+    dbLogger('delete', 'comments', { postId: req.params.id, commentId: req.params.commentId });
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully',
+      data: {
+        comments: post.commentCount,
+      },
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Delete comment', postId: req.params.id, commentId: req.params.commentId });
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting comment',
+    });
+  }
+};
+
 module.exports = {
   getPosts,
+  getMyPosts,
   getPost,
+  getPostBySlug,
   createPost,
+  previewPost,
   updatePost,
   deletePost,
+  getTrash,
+  restorePost,
+  purgePost,
   likePost,
   unlikePost,
   addComment,
+  deleteComment,
 };
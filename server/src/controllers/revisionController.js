@@ -0,0 +1,215 @@
+const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
+const Category = require('../models/Category');
+const { PERMISSIONS } = require('../config/permissions');
+const { diffText, diffWithStats } = require('../utils/diff');
+const { errorLogger, dbLogger } = require('../utils/logger');
+
+// Load a post the current user may edit, sending the error response if not.
+// Revision history is restricted to the same people who can edit the post.
+const findEditablePost = async (req, res) => {
+  const post = await Post.findById(req.params.id);
+
+  if (!post) {
+    res.status(404).json({
+      success: false,
+      message: 'Post not found',
+    });
+    return null;
+  }
+
+  const isOwner = post.author.toString() === req.user._id.toString();
+  if (!isOwner && !req.user.can(PERMISSIONS.POST_EDIT_ANY)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to view revisions of this post',
+    });
+    return null;
+  }
+
+  return post;
+};
+
+const sendRevisionNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Revision not found',
+});
+
+// @desc    List revisions of a post, newest first
+// @route   GET /api/posts/:id/revisions
+// @access  Private (author or editor)
+const getRevisions = async (req, res) => {
+  try {
+    const post = await findEditablePost(req, res);
+    if (!post) return;
+
+    const revisions = await PostRevision.find({ post: post._id })
+      .select('-content')
+      .populate('editor', 'username')
+      .populate('category', 'name')
+      .sort({ revision: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        revisions,
+      },
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Get revisions', postId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving revisions',
+    });
+  }
+};
+
+// @desc    Get a single revision
+// @route   GET /api/posts/:id/revisions/:rev
+// @access  Private (author or editor)
+const getRevision = async (req, res) => {
+  try {
+    const post = await findEditablePost(req, res);
+    if (!post) return;
+
+    const revision = await PostRevision.findOne({ post: post._id, revision: req.params.rev })
+      .populate('editor', 'username')
+      .populate('category', 'name');
+
+    if (!revision) {
+      return sendRevisionNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        revision,
+      },
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Get revision', postId: req.params.id, revision: req.params.rev });
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving revision',
+    });
+  }
+};
+
+// @desc    Diff two revisions of a post
+// @route   GET /api/posts/:id/revisions/diff?from=1&to=2&mode=line|word
+// @access  Private (author or editor)
+const diffRevisions = async (req, res) => {
+  try {
+    const post = await findEditablePost(req, res);
+    if (!post) return;
+
+    const from = parseInt(req.query.from);
+    const to = parseInt(req.query.to);
+    const mode = req.query.mode || 'line';
+
+    const revisions = await PostRevision.find({ post: post._id, revision: { $in: [from, to] } })
+      .populate('category', 'name');
+    const older = revisions.find(revision => revision.revision === from);
+    const newer = revisions.find(revision => revision.revision === to);
+
+    if (!older || !newer) {
+      return sendRevisionNotFound(res);
+    }
+
+    const olderTags = older.tags || [];
+    const newerTags = newer.tags || [];
+    // null when the revisions differ too much to compare
+    const contentDiff = diffWithStats(older.content, newer.content, { mode });
+
+    res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        mode,
+        title: diffText(older.title, newer.title, { mode: 'word' }),
+        content: contentDiff && contentDiff.operations,
+        stats: contentDiff && contentDiff.stats,
+        contentTooLarge: !contentDiff,
+        tags: {
+          added: newerTags.filter(tag => !olderTags.includes(tag)),
+          removed: olderTags.filter(tag => !newerTags.includes(tag)),
+        },
+        category: {
+          from: older.category,
+          to: newer.category,
+          changed: String(older.category && older.category._id) !== String(newer.category && newer.category._id),
+        },
+      },
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Diff revisions', postId: req.params.id, query: req.query });
+    res.status(500).json({
+      success: false,
+      message: 'Server error comparing revisions',
+    });
+  }
+};
+
+// @desc    Restore a post to an earlier revision
+// @route   POST /api/posts/:id/revisions/:rev/restore
+// @access  Private (author or editor)
+const restoreRevision = async (req, res) => {
+  try {
+    const post = await findEditablePost(req, res);
+    if (!post) return;
+
+    const revision = await PostRevision.findOne({ post: post._id, revision: req.params.rev });
+
+    if (!revision) {
+      return sendRevisionNotFound(res);
+    }
+
+    const previousCategory = post.category;
+
+    // The revision's category may have been deleted since; keep the current one then
+    const categoryExists = revision.category && await Category.exists({ _id: revision.category });
+
+    post.title = revision.title;
+    post.content = revision.content;
+    post.tags = revision.tags;
+    if (categoryExists) {
+      post.category = revision.category;
+    }
+    await post.saveWithUniqueSlug();
+
+    const restored = await PostRevision.record(post, req.user._id, { restoredFrom: revision.revision });
+
+    if (previousCategory.toString() !== post.category.toString()) {
+      const categories = await Category.find({ _id: { $in: [previousCategory, post.category] } });
+      await Promise.all(categories.map(category => category.updatePostCount()));
+    }
+
+    await post.populate('author', 'username');
+    await post.populate('category', 'name');
+
+    dbLogger('restore', 'posts', { postId: post._id, revision: revision.revision }, restored._id);
+
+    res.json({
+      success: true,
+      message: `Post restored to revision ${revision.revision}`,
+      data: {
+        post,
+        revision: restored.revision,
+      },
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Restore revision', postId: req.params.id, revision: req.params.rev });
+    res.status(500).json({
+      success: false,
+      message: 'Server error restoring revision',
+    });
+  }
+};
+
+module.exports = {
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision,
+};
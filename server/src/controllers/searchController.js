@@ -0,0 +1,111 @@
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const { escapeRegex } = require('../utils/query');
+const { errorLogger } = require('../utils/logger');
+
+const DEFAULT_SUGGESTION_LIMIT = 8;
+
+// Suggestion types in tie-break order
+const SUGGESTION_TYPES = ['post', 'tag', 'category', 'author'];
+
+// How well a label matches the query: exact, prefix, or a later word
+const matchRank = (label, query) => {
+  const normalized = label.toLowerCase();
+  if (normalized === query) {
+    return 3;
+  }
+  if (normalized.startsWith(query)) {
+    return 2;
+  }
+  return 1;
+};
+
+// @desc    Search-as-you-type suggestions across posts, tags, categories and authors
+// @route   GET /api/search/suggest?q=
+// @access  Public
+const getSuggestions = async (req, res) => {
+  try {
+    const query = req.query.q.toLowerCase();
+    const limit = parseInt(req.query.limit) || DEFAULT_SUGGESTION_LIMIT;
+
+    const prefix = new RegExp(`^${escapeRegex(query)}`, 'i');
+    // Also matches the start of any later word, e.g. "hooks" in "React Hooks"
+    const wordPrefix = new RegExp(`(^|\\s)${escapeRegex(query)}`, 'i');
+
+    const [posts, tags, categories, authors] = await Promise.all([
+      Post.find({ status: 'published', title: wordPrefix })
+        .select('title slug views')
+        .sort({ views: -1 })
+        .limit(limit),
+      Post.aggregate([
+        { $match: { status: 'published', deletedAt: null, tags: prefix } },
+        { $unwind: '$tags' },
+        { $match: { tags: prefix } },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: limit },
+      ]),
+      Category.find({ isActive: true, name: wordPrefix })
+        .select('name slug postCount')
+        .sort({ postCount: -1 })
+        .limit(limit),
+      User.find({ isActive: true, username: prefix })
+        .select('username')
+        .sort({ username: 1 })
+        .limit(limit),
+    ]);
+
+    // Popularity breaks ties between equally good matches of the same type
+    const candidates = [
+      ...posts.map(post => ({
+        suggestion: { type: 'post', label: post.title, id: post._id, slug: post.slug },
+        popularity: post.views,
+      })),
+      ...tags.map(tag => ({
+        suggestion: { type: 'tag', label: tag._id, count: tag.count },
+        popularity: tag.count,
+      })),
+      ...categories.map(category => ({
+        suggestion: { type: 'category', label: category.name, id: category._id, slug: category.slug },
+        popularity: category.postCount,
+      })),
+      ...authors.map(author => ({
+        suggestion: { type: 'author', label: author.username },
+        popularity: 0,
+      })),
+    ];
+
+    const suggestions = candidates
+      .map(candidate => ({ ...candidate, rank: matchRank(candidate.suggestion.label, query) }))
+      .sort((a, b) => (
+        b.rank - a.rank
+        || SUGGESTION_TYPES.indexOf(a.suggestion.type) - SUGGESTION_TYPES.indexOf(b.suggestion.type)
+        || b.popularity - a.popularity
+        || a.suggestion.label.localeCompare(b.suggestion.label)
+      ))
+      .slice(0, limit)
+      .map(candidate => candidate.suggestion);
+
+    // Typing produces bursts of identical requests; let browsers and proxies reuse them
+    res.set('Cache-Control', 'public, max-age=60');
+
+    res.json({
+      success: true,
+      data: {
+        query: req.query.q,
+        suggestions,
+      },
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Search suggestions', query: req.query });
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving suggestions',
+    });
+  }
+};
+
+module.exports = {
+  getSuggestions,
+};
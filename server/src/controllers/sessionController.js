@@ -0,0 +1,73 @@
+const Session = require('../models/Session');
+const { revokeSession: revokeSessionTokens } = require('../utils/auth');
+const { logger, errorLogger } = require('../utils/logger');
+
+// @desc    List active sessions for the current user
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          id: session._id,
+          userAgent: session.userAgent,
+          ip: session.ip,
+          createdAt: session.createdAt,
+          lastSeenAt: session.lastSeenAt,
+          expiresAt: session.expiresAt,
+          current: session._id.toString() === req.auth.sid,
+        })),
+      },
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Get sessions', userId: req.user._id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving sessions',
+    });
+  }
+};
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null,
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    await revokeSessionTokens(session._id);
+
+    logger.info('Session revoked', { userId: req.user._id, sessionId: session._id });
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully',
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Revoke session', userId: req.user._id, sessionId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking session',
+    });
+  }
+};
+
+module.exports = {
+  getSessions,
+  revokeSession,
+};
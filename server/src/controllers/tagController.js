@@ -0,0 +1,143 @@
+const Post = require('../models/Post');
+const { escapeRegex } = require('../utils/query');
+const { buildTagRenamePipeline } = require('../utils/tags');
+const { logger, errorLogger } = require('../utils/logger');
+
+const DEFAULT_TAG_LIMIT = 50;
+
+// Replace every occurrence of the `from` tags with `to` across all posts,
+// trashed ones included so they keep consistent tags if restored
+const replaceTags = async (from, to) => {
+  const { modifiedCount } = await Post.updateMany(
+    { tags: { $in: from } },
+    buildTagRenamePipeline(from, to)
+  );
+  return modifiedCount;
+};
+
+// @desc    List tags with the number of published posts using each
+// @route   GET /api/tags
+// @access  Public
+const getTags = async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || DEFAULT_TAG_LIMIT;
+    const match = { status: 'published', deletedAt: null };
+    const pipeline = [{ $match: match }, { $unwind: '$tags' }];
+
+    if (req.query.q) {
+      const prefix = new RegExp(`^${escapeRegex(req.query.q.toLowerCase())}`);
+      // Filter before and after unwinding so only posts with a matching tag are expanded
+      match.tags = prefix;
+      pipeline.push({ $match: { tags: prefix } });
+    }
+
+    pipeline.push(
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: req.query.sort === 'name' ? { _id: 1 } : { count: -1, _id: 1 } },
+      { $limit: limit },
+      { $project: { _id: 0, name: '$_id', count: 1 } }
+    );
+
+    const tags = await Post.aggregate(pipeline);
+
+    res.json({
+      success: true,
+      data: {
+        tags,
+      },
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Get tags', query: req.query });
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving tags',
+    });
+  }
+};
+
+// @desc    Rename a tag on every post
+// @route   PUT /api/tags/:tag
+// @access  Private (admin)
+const renameTag = async (req, res) => {
+  try {
+    const from = req.params.tag;
+    const to = req.body.name;
+
+    if (from === to) {
+      return res.status(400).json({
+        success: false,
+        message: 'New tag name must be different',
+      });
+    }
+
+    const updatedPosts = await replaceTags([from], to);
+
+    if (updatedPosts === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found',
+      });
+    }
+
+    logger.info('Tag renamed', { from, to, updatedPosts, adminId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Tag renamed successfully',
+      data: {
+        from,
+        to,
+        updatedPosts,
+      },
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Rename tag', tag: req.params.tag, body: req.body });
+    res.status(500).json({
+      success: false,
+      message: 'Server error renaming tag',
+    });
+  }
+};
+
+// @desc    Merge several tags into one on every post
+// @route   POST /api/tags/merge
+// @access  Private (admin)
+const mergeTags = async (req, res) => {
+  try {
+    const { into } = req.body;
+    const tags = [...new Set(req.body.tags)].filter(tag => tag !== into);
+
+    if (tags.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide at least one tag other than the target',
+      });
+    }
+
+    const updatedPosts = await replaceTags(tags, into);
+
+    logger.info('Tags merged', { tags, into, updatedPosts, adminId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Tags merged successfully',
+      data: {
+        tags,
+        into,
+        updatedPosts,
+      },
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Merge tags', body: req.body });
+    res.status(500).json({
+      success: false,
+      message: 'Server error merging tags',
+    });
+  }
+};
+
+module.exports = {
+  getTags,
+  renameTag,
+  mergeTags,
+};
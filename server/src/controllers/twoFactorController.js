@@ -0,0 +1,193 @@
+const User = require('../models/User');
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  generateBackupCodes,
+} = require('../utils/totp');
+const { logger, errorLogger } = require('../utils/logger');
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'MERN Blog';
+
+// @desc    Start two-factor enrolment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: TOTP_ISSUER }),
+      },
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Two-factor setup', userId: req.user._id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error starting two-factor setup',
+    });
+  }
+};
+
+// @desc    Confirm enrolment with a code and enable two-factor authentication
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+const enableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup before enabling it',
+      });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_TWO_FACTOR_CODE',
+        message: 'Invalid two-factor code',
+      });
+    }
+
+    const backupCodes = generateBackupCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.setBackupCodes(backupCodes);
+    await user.save({ validateBeforeSave: false });
+
+    logger.info('Two-factor authentication enabled', { userId: user._id });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+      data: {
+        backupCodes,
+      },
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Enable two-factor', userId: req.user._id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error enabling two-factor authentication',
+    });
+  }
+};
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.user._id);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (!(await user.comparePassword(password)) || !(await user.verifyTwoFactorCode(code))) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_CREDENTIALS',
+        message: 'Password or two-factor code is incorrect',
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save({ validateBeforeSave: false });
+
+    logger.info('Two-factor authentication disabled', { userId: user._id });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Disable two-factor', userId: req.user._id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error disabling two-factor authentication',
+    });
+  }
+};
+
+// @desc    Replace all backup codes
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private
+const regenerateBackupCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (!(await user.verifyTwoFactorCode(req.body.code))) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_TWO_FACTOR_CODE',
+        message: 'Invalid two-factor code',
+      });
+    }
+
+    const backupCodes = generateBackupCodes();
+    user.setBackupCodes(backupCodes);
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Backup codes regenerated. Previous codes no longer work.',
+      data: {
+        backupCodes,
+      },
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Regenerate backup codes', userId: req.user._id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error regenerating backup codes',
+    });
+  }
+};
+
+module.exports = {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+};
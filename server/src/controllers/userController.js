@@ -0,0 +1,66 @@
+const User = require('../models/User');
+const Post = require('../models/Post');
+const { errorLogger } = require('../utils/logger');
+
+const RECENT_POSTS_LIMIT = 5;
+
+// @desc    Get public author profile
+// @route   GET /api/users/:username
+// @access  Public
+const getUserProfile = async (req, res) => {
+  try {
+    const user = await User.findOne({ username: req.params.username, isActive: true })
+      .select('username profile createdAt');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const [stats] = await Post.aggregate([
+      { $match: { author: user._id, status: 'published', deletedAt: null } },
+      {
+        $group: {
+          _id: null,
+          postCount: { $sum: 1 },
+          totalLikes: { $sum: { $size: '$likes' } },
+        },
+      },
+    ]);
+
+    const recentPosts = await Post.findByAuthor(user._id).limit(RECENT_POSTS_LIMIT);
+
+    res.json({
+      success: true,
+      data: {
+        author: {
+          username: user.username,
+          profile: {
+            firstName: user.profile?.firstName,
+            lastName: user.profile?.lastName,
+            bio: user.profile?.bio,
+            avatar: user.profile?.avatar,
+          },
+          joinedAt: user.createdAt,
+        },
+        stats: {
+          postCount: stats ? stats.postCount : 0,
+          totalLikes: stats ? stats.totalLikes : 0,
+        },
+        recentPosts,
+      },
+    });
+  } catch (error) {
+    errorLogger(error, { context: 'Get user profile', username: req.params.username });
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving user profile',
+    });
+  }
+};
+
+module.exports = {
+  getUserProfile,
+};
@@ -0,0 +1,25 @@
+const rateLimit = require('express-rate-limit');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+
+// Per-IP limiter for endpoints that check a password. Only failed attempts
+// count, so legitimate users aren't throttled by their own successful logins.
+const authAttemptLimiter = rateLimit({
+  windowMs: config.authRateLimit.windowMinutes * 60 * 1000,
+  max: () => config.authRateLimit.max,
+  skipSuccessfulRequests: true,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res, next, options) => {
+    logger.warn('Too many failed authentication attempts', { ip: req.ip, url: req.originalUrl });
+    res.status(options.statusCode).json({
+      success: false,
+      code: 'TOO_MANY_ATTEMPTS',
+      message: 'Too many failed attempts from this IP. Please try again later.',
+    });
+  },
+});
+
+module.exports = {
+  authAttemptLimiter,
+};
@@ -0,0 +1,52 @@
+const multer = require('multer');
+const config = require('../config');
+
+const AVATAR_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+const avatarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.uploads.avatarMaxSizeMB * 1024 * 1024,
+    files: 1,
+  },
+  fileFilter: (req, file, cb) => {
+    if (!AVATAR_MIME_TYPES.includes(file.mimetype)) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = 'Avatar must be a JPEG, PNG, WebP or GIF image';
+      return cb(error);
+    }
+    cb(null, true);
+  },
+});
+
+// Parse a single `avatar` file field, turning upload errors into 400 responses
+const parseAvatarUpload = (req, res, next) => {
+  avatarUpload.single('avatar')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `Avatar cannot exceed ${config.uploads.avatarMaxSizeMB}MB`
+          : error.message,
+      });
+    }
+
+    if (error) {
+      return next(error);
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please choose an image to upload',
+      });
+    }
+
+    next();
+  });
+};
+
+module.exports = {
+  AVATAR_MIME_TYPES,
+  parseAvatarUpload,
+};
@@ -1,4 +1,7 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { ROLES } = require('../config/permissions');
+const { MAX_TAG_LENGTH } = require('../utils/tags');
+const config = require('../config');
 
 // Handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -24,7 +27,9 @@ const validateUserRegistration = [
     .isLength({ min: 3, max: 30 })
     .withMessage('Username must be between 3 and 30 characters')
     .matches(/^[a-zA-Z0-9_]+$/)
-    .withMessage('Username can only contain letters, numbers, and underscores'),
+    .withMessage('Username can only contain letters, numbers, and underscores')
+    .custom(value => value.toLowerCase() !== config.accountDeletion.placeholderUsername)
+    .withMessage('This username is reserved'),
 
   body('email')
     .isEmail()
@@ -52,7 +57,187 @@ const validateUserLogin = [
   handleValidationErrors,
 ];
 
+const validateTwoFactorCode = [
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Two-factor code is required'),
+
+  handleValidationErrors,
+];
+
+const validateTwoFactorLogin = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Two-factor code is required'),
+
+  handleValidationErrors,
+];
+
+const validateTwoFactorDisable = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Two-factor code is required'),
+
+  handleValidationErrors,
+];
+
+const validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+
+  handleValidationErrors,
+];
+
+const validateLogout = [
+  body('refreshToken')
+    .optional()
+    .isString()
+    .withMessage('Refresh token must be a string'),
+
+  handleValidationErrors,
+];
+
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+
+  handleValidationErrors,
+];
+
+const validatePasswordReset = [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid password reset token'),
+
+  body('password')
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+
+  handleValidationErrors,
+];
+
+const validateVerificationToken = [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid verification token'),
+
+  handleValidationErrors,
+];
+
+const validateAccountDeletion = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+
+  body('posts')
+    .isIn(['reassign', 'delete'])
+    .withMessage('Posts must be reassign or delete'),
+
+  body('code')
+    .optional()
+    .isString()
+    .trim(),
+
+  handleValidationErrors,
+];
+
+// Admin user management validation rules
+const validateUserFilters = [
+  query('role')
+    .optional()
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+
+  query('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false'),
+
+  query('search')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Search cannot exceed 100 characters'),
+
+  handleValidationErrors,
+];
+
+const validateRoleUpdate = [
+  body('role')
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+
+  handleValidationErrors,
+];
+
+const validateStatusUpdate = [
+  body('isActive')
+    .isBoolean({ strict: true })
+    .withMessage('isActive must be true or false'),
+
+  handleValidationErrors,
+];
+
+const validateUserDeletion = [
+  query('posts')
+    .isIn(['reassign', 'delete'])
+    .withMessage('Posts must be reassign or delete'),
+
+  query('reassignTo')
+    .optional()
+    .isMongoId()
+    .withMessage('reassignTo must be a valid user ID'),
+
+  handleValidationErrors,
+];
+
 // Post validation rules
+const POST_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+// Keeps rendering, search indexing and revision diffs of a single post bounded
+const MAX_CONTENT_LENGTH = 50000;
+
+// Status and publish date rules shared by post creation and update
+const postPublishingRules = [
+  body('status')
+    .optional()
+    .isIn(POST_STATUSES)
+    .withMessage('Status must be draft, scheduled, published, or archived')
+    .bail()
+    .custom((value, { req }) => value !== 'scheduled' || Boolean(req.body.publishedAt))
+    .withMessage('Scheduled posts require a publishedAt date'),
+
+  body('publishedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('publishedAt must be a valid date')
+    .bail()
+    .custom((value, { req }) => req.body.status !== 'scheduled' || new Date(value) > new Date())
+    .withMessage('Scheduled posts must have a publishedAt date in the future'),
+];
+
 const validatePostCreation = [
   body('title')
     .trim()
@@ -61,13 +246,15 @@ const validatePostCreation = [
 
   body('content')
     .trim()
-    .isLength({ min: 10 })
-    .withMessage('Content must be at least 10 characters long'),
+    .isLength({ min: 10, max: MAX_CONTENT_LENGTH })
+    .withMessage(`Content must be between 10 and ${MAX_CONTENT_LENGTH} characters long`),
 
   body('category')
     .isMongoId()
     .withMessage('Please provide a valid category ID'),
 
+  ...postPublishingRules,
+
   handleValidationErrors,
 ];
 
@@ -81,18 +268,25 @@ const validatePostUpdate = [
   body('content')
     .optional()
     .trim()
-    .isLength({ min: 10 })
-    .withMessage('Content must be at least 10 characters long'),
+    .isLength({ min: 10, max: MAX_CONTENT_LENGTH })
+    .withMessage(`Content must be between 10 and ${MAX_CONTENT_LENGTH} characters long`),
 
   body('category')
     .optional()
     .isMongoId()
     .withMessage('Please provide a valid category ID'),
 
-  body('status')
-    .optional()
-    .isIn(['draft', 'published', 'archived'])
-    .withMessage('Status must be draft, published, or archived'),
+  ...postPublishingRules,
+
+  handleValidationErrors,
+];
+
+const validatePostPreview = [
+  body('content')
+    .isString()
+    .withMessage('Content must be a string')
+    .isLength({ max: MAX_CONTENT_LENGTH })
+    .withMessage(`Content cannot exceed ${MAX_CONTENT_LENGTH} characters`),
 
   handleValidationErrors,
 ];
@@ -108,6 +302,24 @@ const validateComment = [
 ];
 
 // Category validation rules
+const categoryOptionalRules = [
+  body('icon')
+    .optional()
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage('Icon name cannot exceed 50 characters'),
+
+  body('parent')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Parent must be a valid category ID'),
+
+  body('order')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Order must be a non-negative integer'),
+];
+
 const validateCategory = [
   body('name')
     .trim()
@@ -124,6 +336,118 @@ const validateCategory = [
     .matches(/^#[0-9A-F]{6}$/i)
     .withMessage('Color must be a valid hex color code'),
 
+  ...categoryOptionalRules,
+
+  handleValidationErrors,
+];
+
+const validateCategoryUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Category name must be between 2 and 50 characters'),
+
+  body('description')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+
+  body('color')
+    .optional()
+    .matches(/^#[0-9A-F]{6}$/i)
+    .withMessage('Color must be a valid hex color code'),
+
+  ...categoryOptionalRules,
+
+  handleValidationErrors,
+];
+
+const validateCategoryReorder = [
+  body('ids')
+    .isArray({ min: 1 })
+    .withMessage('ids must be a non-empty array of category IDs'),
+
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Each category ID must be valid'),
+
+  handleValidationErrors,
+];
+
+const validateCategoryDeletion = [
+  query('reassignTo')
+    .optional()
+    .isMongoId()
+    .withMessage('reassignTo must be a valid category ID'),
+
+  handleValidationErrors,
+];
+
+const validateCategoryMerge = [
+  body('into')
+    .isMongoId()
+    .withMessage('into must be a valid category ID'),
+
+  handleValidationErrors,
+];
+
+const validateCategorySplit = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Category name must be between 2 and 50 characters'),
+
+  body('description')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+
+  body('color')
+    .optional()
+    .matches(/^#[0-9A-F]{6}$/i)
+    .withMessage('Color must be a valid hex color code'),
+
+  ...categoryOptionalRules,
+
+  body('postIds')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('postIds must be a non-empty array of post IDs'),
+
+  body('postIds.*')
+    .isMongoId()
+    .withMessage('Each post ID must be valid'),
+
+  body('tags')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('tags must be a non-empty array'),
+
+  body('tags.*')
+    .isString()
+    .trim()
+    .toLowerCase()
+    .withMessage('Each tag must be a string'),
+
+  body()
+    .custom(value => Boolean(value.postIds || value.tags))
+    .withMessage('Provide postIds or tags to choose the posts to move'),
+
+  handleValidationErrors,
+];
+
+const validateCategoryList = [
+  query('tree')
+    .optional()
+    .isBoolean()
+    .withMessage('tree must be true or false'),
+
+  query('includeInactive')
+    .optional()
+    .isBoolean()
+    .withMessage('includeInactive must be true or false'),
+
   handleValidationErrors,
 ];
 
@@ -136,6 +460,55 @@ const validateObjectId = [
   handleValidationErrors,
 ];
 
+const validateUsernameParam = [
+  param('username')
+    .matches(/^[a-zA-Z0-9_]{3,30}$/)
+    .withMessage('Please provide a valid username'),
+
+  handleValidationErrors,
+];
+
+const validateSlugParam = [
+  param('slug')
+    .matches(/^[a-zA-Z0-9-]{1,100}$/)
+    .withMessage('Please provide a valid slug'),
+
+  handleValidationErrors,
+];
+
+const validateCommentId = [
+  param('commentId')
+    .isMongoId()
+    .withMessage('Please provide a valid comment ID'),
+
+  handleValidationErrors,
+];
+
+const validateRevisionParam = [
+  param('rev')
+    .isInt({ min: 1 })
+    .withMessage('Revision must be a positive integer'),
+
+  handleValidationErrors,
+];
+
+const validateRevisionDiff = [
+  query('from')
+    .isInt({ min: 1 })
+    .withMessage('from must be a revision number'),
+
+  query('to')
+    .isInt({ min: 1 })
+    .withMessage('to must be a revision number'),
+
+  query('mode')
+    .optional()
+    .isIn(['line', 'word'])
+    .withMessage('Mode must be line or word'),
+
+  handleValidationErrors,
+];
+
 // Query parameter validation
 const validatePagination = [
   query('page')
@@ -151,12 +524,32 @@ const validatePagination = [
   handleValidationErrors,
 ];
 
+const validateSuggestionQuery = [
+  query('q')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Query must be between 1 and 50 characters'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Limit must be between 1 and 20'),
+
+  handleValidationErrors,
+];
+
 const validatePostFilters = [
   query('category')
     .optional()
     .isMongoId()
     .withMessage('Category must be a valid ID'),
 
+  query('includeDescendants')
+    .optional()
+    .isBoolean()
+    .withMessage('includeDescendants must be true or false'),
+
   query('author')
     .optional()
     .isMongoId()
@@ -164,14 +557,73 @@ const validatePostFilters = [
 
   query('status')
     .optional()
-    .isIn(['draft', 'published', 'archived'])
-    .withMessage('Status must be draft, published, or archived'),
+    .isIn(POST_STATUSES)
+    .withMessage('Status must be draft, scheduled, published, or archived'),
 
   query('tags')
     .optional()
     .isString()
     .withMessage('Tags must be a string'),
 
+  query('tagMatch')
+    .optional()
+    .isIn(['any', 'all'])
+    .withMessage('tagMatch must be any or all'),
+
+  query('search')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Search must be between 1 and 100 characters'),
+
+  handleValidationErrors,
+];
+
+// Tag validation rules
+const tagNameRule = (field) => field
+  .isString()
+  .trim()
+  .toLowerCase()
+  .isLength({ min: 1, max: MAX_TAG_LENGTH })
+  .withMessage(`Tag must be between 1 and ${MAX_TAG_LENGTH} characters`);
+
+const validateTagList = [
+  query('q')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: MAX_TAG_LENGTH })
+    .withMessage(`Query must be between 1 and ${MAX_TAG_LENGTH} characters`),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('sort')
+    .optional()
+    .isIn(['count', 'name'])
+    .withMessage('Sort must be count or name'),
+
+  handleValidationErrors,
+];
+
+const validateTagRename = [
+  tagNameRule(param('tag')),
+  tagNameRule(body('name')),
+
+  handleValidationErrors,
+];
+
+const validateTagMerge = [
+  body('tags')
+    .isArray({ min: 1 })
+    .withMessage('tags must be a non-empty array'),
+
+  tagNameRule(body('tags.*')),
+  tagNameRule(body('into')),
+
   handleValidationErrors,
 ];
 
@@ -243,13 +695,42 @@ module.exports = {
   handleValidationErrors,
   validateUserRegistration,
   validateUserLogin,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable,
+  validateRefreshToken,
+  validateLogout,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateVerificationToken,
+  validateAccountDeletion,
+  validateUserFilters,
+  validateRoleUpdate,
+  validateStatusUpdate,
+  validateUserDeletion,
   validatePostCreation,
   validatePostUpdate,
+  validatePostPreview,
   validateComment,
   validateCategory,
+  validateCategoryUpdate,
+  validateCategoryReorder,
+  validateCategoryDeletion,
+  validateCategoryMerge,
+  validateCategorySplit,
+  validateCategoryList,
   validateObjectId,
+  validateCommentId,
+  validateUsernameParam,
+  validateSlugParam,
+  validateRevisionParam,
+  validateRevisionDiff,
   validatePagination,
   validatePostFilters,
+  validateSuggestionQuery,
+  validateTagList,
+  validateTagRename,
+  validateTagMerge,
   validateUniqueEmail,
   validateUniqueUsername,
   validateCategoryExists,
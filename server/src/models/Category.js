@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { slugify, buildSuffixPattern, pickFreeSlug } = require('../utils/slug');
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -15,6 +16,11 @@ const categorySchema = new mongoose.Schema({
     trim: true,
     lowercase: true,
   },
+  // Slugs of categories merged into this one, kept so old links still resolve
+  previousSlugs: {
+    type: [String],
+    default: [],
+  },
   description: {
     type: String,
     maxlength: [200, 'Description cannot exceed 200 characters'],
@@ -56,21 +62,25 @@ const categorySchema = new mongoose.Schema({
 
 // Indexes for better query performance
 categorySchema.index({ slug: 1 });
+categorySchema.index({ previousSlugs: 1 });
 categorySchema.index({ parent: 1 });
 categorySchema.index({ order: 1 });
 
-// Pre-save middleware to generate slug
-categorySchema.pre('save', function(next) {
+// Pre-save middleware to generate a unique slug from the name
+categorySchema.pre('save', async function() {
   if (this.isModified('name') || this.isNew) {
-    // Generate slug from name
-    this.slug = this.name
-      .toLowerCase()
-      .replace(/[^a-zA-Z0-9\s]/g, '') // Remove special characters
-      .replace(/\s+/g, '-') // Replace spaces with hyphens
-      .replace(/-+/g, '-') // Replace multiple hyphens with single
-      .trim();
+    const base = slugify(this.name);
+    const pattern = buildSuffixPattern(base);
+    // Slugs of merged categories stay reserved so their redirects keep working
+    const taken = await this.constructor.find({
+      _id: { $ne: this._id },
+      $or: [{ slug: pattern }, { previousSlugs: pattern }],
+    })
+      .select('slug previousSlugs')
+      .lean();
+
+    this.slug = pickFreeSlug(base, taken.flatMap(category => [category.slug, ...(category.previousSlugs || [])]));
   }
-  next();
 });
 
 // Virtual for child categories
@@ -84,6 +94,18 @@ categorySchema.virtual('children', {
 categorySchema.set('toJSON', { virtuals: true });
 categorySchema.set('toObject', { virtuals: true });
 
+// Static method to find a category by its current slug, falling back to the
+// slugs of categories merged into it. Resolves to { category, redirected }.
+categorySchema.statics.findBySlug = async function(slug) {
+  const category = await this.findOne({ slug });
+  if (category) {
+    return { category, redirected: false };
+  }
+
+  const merged = await this.findOne({ previousSlugs: slug });
+  return { category: merged, redirected: Boolean(merged) };
+};
+
 // Static method to find active categories
 categorySchema.statics.findActive = function() {
   return this.find({ isActive: true }).sort({ order: 1, name: 1 });
@@ -94,6 +116,49 @@ categorySchema.statics.findRootCategories = function() {
   return this.find({ parent: null, isActive: true }).sort({ order: 1, name: 1 });
 };
 
+// Static method to get the path from the root down to a category, e.g.
+// Technology > JavaScript > React, resolved in a single aggregation
+categorySchema.statics.getBreadcrumbs = async function(categoryId) {
+  const [result] = await this.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(categoryId) } },
+    {
+      $graphLookup: {
+        from: this.collection.name,
+        startWith: '$parent',
+        connectFromField: 'parent',
+        connectToField: '_id',
+        as: 'ancestors',
+        depthField: 'depth',
+      },
+    },
+  ]);
+
+  if (!result) {
+    return [];
+  }
+
+  const ancestors = result.ancestors.sort((a, b) => b.depth - a.depth);
+  return [...ancestors, result].map(({ _id, name, slug }) => ({ _id, name, slug }));
+};
+
+// Static method to get the IDs of a category and all categories below it
+categorySchema.statics.getDescendantIds = async function(categoryId) {
+  const [result] = await this.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(categoryId) } },
+    {
+      $graphLookup: {
+        from: this.collection.name,
+        startWith: '$_id',
+        connectFromField: '_id',
+        connectToField: 'parent',
+        as: 'descendants',
+      },
+    },
+  ]);
+
+  return result ? [result._id, ...result.descendants.map(category => category._id)] : [];
+};
+
 // Static method to find subcategories
 categorySchema.statics.findSubcategories = function(parentId) {
   return this.find({ parent: parentId, isActive: true }).sort({ order: 1, name: 1 });
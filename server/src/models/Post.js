@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const { slugify, buildSuffixPattern, pickFreeSlug } = require('../utils/slug');
+const { renderMarkdown, createExcerpt } = require('../utils/markdown');
+
+// How many times to pick a new slug when a concurrent save claims the same one
+const MAX_SLUG_ATTEMPTS = 5;
 
 const postSchema = new mongoose.Schema({
   title: {
@@ -12,6 +17,15 @@ const postSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Content is required'],
     minlength: [10, 'Content must be at least 10 characters'],
+    maxlength: [50000, 'Content cannot exceed 50000 characters'],
+  },
+  // Sanitised HTML rendered from the Markdown in `content` on save
+  contentHtml: {
+    type: String,
+  },
+  // Plain-text summary of the content for post listings
+  excerpt: {
+    type: String,
   },
   slug: {
     type: String,
@@ -19,6 +33,12 @@ const postSchema = new mongoose.Schema({
     trim: true,
     lowercase: true,
   },
+  // Slugs the post had before its title changed, so old links can redirect
+  previousSlugs: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+  }],
   category: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Category',
@@ -36,12 +56,12 @@ const postSchema = new mongoose.Schema({
   }],
   status: {
     type: String,
-    enum: ['draft', 'published', 'archived'],
+    enum: ['draft', 'scheduled', 'published', 'archived'],
     default: 'published',
   },
+  // When the post went live, or for scheduled posts when it will
   publishedAt: {
     type: Date,
-    default: Date.now,
   },
   views: {
     type: Number,
@@ -77,6 +97,15 @@ const postSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  // Set when the post is moved to the trash; purged after the retention period
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
   meta: {
     description: {
       type: String,
@@ -93,18 +122,63 @@ postSchema.index({ author: 1, createdAt: -1 });
 postSchema.index({ category: 1, createdAt: -1 });
 postSchema.index({ status: 1, publishedAt: -1 });
 postSchema.index({ slug: 1 });
+postSchema.index({ previousSlugs: 1 });
 postSchema.index({ tags: 1 });
+postSchema.index({ deletedAt: 1 });
+// Full-text search, ranking title matches above tags above body text
+postSchema.index(
+  { title: 'text', tags: 'text', content: 'text' },
+  { name: 'post_text_search', weights: { title: 10, tags: 5, content: 1 } }
+);
+
+// Hide trashed posts from queries unless the filter mentions deletedAt
+// or the query opts in with setOptions({ withDeleted: true })
+const excludeTrashed = function() {
+  if (!this.getOptions().withDeleted && this.getFilter().deletedAt === undefined) {
+    this.where({ deletedAt: null });
+  }
+};
+
+postSchema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments'], excludeTrashed);
+
+// Pre-save middleware to generate a unique slug from the title. When the
+// title of an existing post changes, its old slug is kept for redirects.
+postSchema.pre('save', async function() {
+  if (!this.isNew && !this.isModified('title')) {
+    return;
+  }
+
+  // Title edits that don't change the slug (e.g. punctuation) keep the URL
+  const base = slugify(this.title);
+  if (!this.isNew && this.slug && buildSuffixPattern(base).test(this.slug)) {
+    return;
+  }
+
+  const slug = await this.constructor.generateUniqueSlug(this.title, this._id);
+
+  if (this.slug && this.slug !== slug) {
+    this.previousSlugs = [
+      ...this.previousSlugs.filter(previous => previous !== slug && previous !== this.slug),
+      this.slug,
+    ];
+  }
+
+  this.slug = slug;
+});
 
-// Pre-save middleware to generate slug
+// Render Markdown content to sanitised HTML whenever it changes
 postSchema.pre('save', function(next) {
-  if (this.isModified('title') || this.isNew) {
-    // Generate slug from title
-    this.slug = this.title
-      .toLowerCase()
-      .replace(/[^a-zA-Z0-9\s]/g, '') // Remove special characters
-      .replace(/\s+/g, '-') // Replace spaces with hyphens
-      .replace(/-+/g, '-') // Replace multiple hyphens with single
-      .trim();
+  if (this.isModified('content') || !this.contentHtml) {
+    this.contentHtml = renderMarkdown(this.content);
+    this.excerpt = createExcerpt(this.contentHtml);
+  }
+  next();
+});
+
+// Stamp the publish time on posts published without one
+postSchema.pre('save', function(next) {
+  if (this.status === 'published' && !this.publishedAt) {
+    this.publishedAt = new Date();
   }
   next();
 });
@@ -135,6 +209,79 @@ postSchema.statics.findPublished = function() {
   return this.find({ status: 'published' }).populate('author', 'username').populate('category', 'name');
 };
 
+// Static method to find a free slug for a title. Slugs used by other posts,
+// including trashed posts and old slugs kept for redirects, get a numeric
+// suffix: "my-title", "my-title-2", "my-title-3", ...
+postSchema.statics.generateUniqueSlug = async function(title, excludeId) {
+  const base = slugify(title);
+  const pattern = buildSuffixPattern(base);
+
+  const taken = await this.find({
+    _id: { $ne: excludeId },
+    $or: [{ slug: pattern }, { previousSlugs: pattern }],
+  })
+    .setOptions({ withDeleted: true })
+    .select('slug previousSlugs')
+    .lean();
+
+  return pickFreeSlug(base, taken.flatMap(post => [post.slug, ...(post.previousSlugs || [])]));
+};
+
+// Instance method to save the post, picking the next free slug when another
+// save claimed the same one between the slug lookup and the write
+postSchema.methods.saveWithUniqueSlug = async function() {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await this.save();
+    } catch (error) {
+      if (error.code !== 11000 || !error.keyPattern?.slug || attempt >= MAX_SLUG_ATTEMPTS) {
+        throw error;
+      }
+      this.slug = await this.constructor.generateUniqueSlug(this.title, this._id);
+    }
+  }
+};
+
+// Static method to find a post by its current or a previous slug
+postSchema.statics.findBySlug = async function(slug) {
+  const post = await this.findOne({ slug });
+  if (post) {
+    return { post, redirected: false };
+  }
+
+  const moved = await this.findOne({ previousSlugs: slug });
+  return { post: moved, redirected: Boolean(moved) };
+};
+
+// Instance method to move the post to the trash
+postSchema.methods.moveToTrash = function(userId) {
+  this.deletedAt = new Date();
+  this.deletedBy = userId;
+  return this.save({ validateBeforeSave: false });
+};
+
+// Instance method to take the post back out of the trash
+postSchema.methods.restoreFromTrash = function() {
+  this.deletedAt = null;
+  this.deletedBy = undefined;
+  return this.save({ validateBeforeSave: false });
+};
+
+// Static method to publish scheduled posts that have come due.
+// Resolves to the published posts so callers can update derived data.
+postSchema.statics.publishDueScheduled = async function(now = new Date()) {
+  const due = await this.find({ status: 'scheduled', publishedAt: { $lte: now } }).select('_id category');
+
+  if (due.length > 0) {
+    await this.updateMany(
+      { _id: { $in: due.map(post => post._id) }, status: 'scheduled' },
+      { $set: { status: 'published' } }
+    );
+  }
+
+  return due;
+};
+
 // Static method to find posts by category
 postSchema.statics.findByCategory = function(categoryId) {
   return this.find({ category: categoryId, status: 'published' })
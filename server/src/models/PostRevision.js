@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+// Snapshot of a post's editable fields, recorded every time they change
+const postRevisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post is required'],
+  },
+  // Sequential per post, starting at 1
+  revision: {
+    type: Number,
+    required: [true, 'Revision number is required'],
+    min: 1,
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+  },
+  content: {
+    type: String,
+    required: [true, 'Content is required'],
+  },
+  tags: [String],
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+  },
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Set when this revision was created by restoring an earlier one
+  restoredFrom: {
+    type: Number,
+    default: null,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+// Indexes for better query performance
+postRevisionSchema.index({ post: 1, revision: -1 }, { unique: true });
+
+const TRACKED_FIELDS = ['title', 'content', 'tags', 'category'];
+
+const snapshotOf = (post) => ({
+  title: post.title,
+  content: post.content,
+  tags: [...(post.tags || [])],
+  category: post.category && post.category._id ? post.category._id : post.category,
+});
+
+// Whether a post's tracked fields differ from a revision
+postRevisionSchema.methods.differsFrom = function(post) {
+  const current = snapshotOf(post);
+
+  return TRACKED_FIELDS.some((field) => {
+    if (field === 'tags') {
+      return current.tags.join('\n') !== (this.tags || []).join('\n');
+    }
+    return String(current[field]) !== String(this[field]);
+  });
+};
+
+// Concurrent edits can pick the same next revision number; the unique index
+// rejects all but one, and the others retry with a fresh number
+const MAX_RECORD_ATTEMPTS = 5;
+
+// Static method to record the current state of a post as a new revision.
+// Skips recording when nothing tracked changed since the latest revision.
+postRevisionSchema.statics.record = async function(post, editorId, { restoredFrom = null } = {}) {
+  for (let attempt = 1; ; attempt += 1) {
+    const latest = await this.findOne({ post: post._id }).sort({ revision: -1 });
+
+    if (latest && !latest.differsFrom(post) && restoredFrom === null) {
+      return latest;
+    }
+
+    try {
+      return await this.create({
+        post: post._id,
+        revision: latest ? latest.revision + 1 : 1,
+        ...snapshotOf(post),
+        editor: editorId,
+        restoredFrom,
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_RECORD_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+module.exports = mongoose.model('PostRevision', postRevisionSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true,
+  },
+  // All tokens descending from one login share a family, so reuse of any
+  // rotated token can revoke the whole chain
+  family: {
+    type: String,
+    required: [true, 'Token family is required'],
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required'],
+  },
+  replacedBy: {
+    type: String,
+    default: null,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for better query performance
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ user: 1 });
+// Let MongoDB remove tokens once they have expired
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the token can still be exchanged
+refreshTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && !this.replacedBy && this.expiresAt > new Date();
+});
+
+// Static method to revoke every token in a family
+refreshTokenSchema.statics.revokeFamily = function(family) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+// Static method to revoke every token belonging to a user
+refreshTokenSchema.statics.revokeAllForUser = function(userId) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
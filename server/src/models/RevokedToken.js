@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: [true, 'Token ID is required'],
+    unique: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Matches the JWT expiry; after that the token is rejected anyway
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required'],
+  },
+}, {
+  timestamps: true,
+});
+
+// Let MongoDB remove entries once the token would have expired
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to check whether a token ID has been revoked
+revokedTokenSchema.statics.isRevoked = async function(jti) {
+  return Boolean(await this.exists({ jti }));
+};
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+  userAgent: {
+    type: String,
+    maxlength: [500, 'User agent cannot exceed 500 characters'],
+  },
+  ip: {
+    type: String,
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Pushed forward whenever the session's refresh token is rotated
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required'],
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for better query performance
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB remove sessions once they have expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static method to find a user's active sessions, most recently used first
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastSeenAt: -1 });
+};
+
+// Static method to revoke every session belonging to a user
+sessionSchema.statics.revokeAllForUser = function(userId) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+// Instance method to record activity, written at most once per touch interval
+sessionSchema.methods.touch = function(ip) {
+  const interval = config.sessionTouchIntervalMinutes * 60 * 1000;
+
+  if (Date.now() - this.lastSeenAt.getTime() < interval) {
+    return Promise.resolve(this);
+  }
+
+  this.lastSeenAt = new Date();
+  if (ip) {
+    this.ip = ip;
+  }
+  return this.save({ validateBeforeSave: false });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
+const config = require('../config');
+const { ROLES, hasPermission } = require('../config/permissions');
+const { verifyTotp } = require('../utils/totp');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -25,16 +29,44 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ROLES,
     default: 'user',
   },
   isActive: {
     type: Boolean,
     default: true,
   },
+  // Marks the account that stands in for erased users (see utils/accountDeletion)
+  isSystemPlaceholder: {
+    type: Boolean,
+    default: false,
+  },
   lastLogin: {
     type: Date,
   },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+  },
+  lockUntil: {
+    type: Date,
+  },
+  // Number of lockouts since the last successful login, drives progressive lock duration
+  lockCount: {
+    type: Number,
+    default: 0,
+  },
+  // Incremented to invalidate every JWT issued to the user
+  tokenVersion: {
+    type: Number,
+    default: 0,
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  emailVerificationToken: String,
+  emailVerificationExpires: Date,
   profile: {
     firstName: String,
     lastName: String,
@@ -43,14 +75,57 @@ const userSchema = new mongoose.Schema({
       maxlength: [500, 'Bio cannot exceed 500 characters'],
     },
     avatar: String,
+    // Resized copies of the uploaded avatar; `avatar` holds the large one
+    avatarVariants: {
+      small: String,
+      medium: String,
+      large: String,
+    },
   },
+  // Storage keys of the current avatar files, used to delete them on replacement
+  avatarKeys: [String],
+  // Pending self-service account deletion, erased once scheduledFor passes
+  deletion: {
+    requestedAt: Date,
+    scheduledFor: Date,
+    posts: {
+      type: String,
+      enum: ['delete', 'reassign'],
+    },
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    secret: String,
+    // Secret generated during enrolment, promoted to `secret` once a code is confirmed
+    pendingSecret: String,
+    // SHA-256 hashes of the unused backup codes
+    backupCodes: [String],
+    // Last accepted TOTP time step, so a code can't be replayed
+    lastUsedStep: Number,
+  },
+  // Set by an admin to block logins until the user picks a new password
+  passwordResetRequired: {
+    type: Boolean,
+    default: false,
+  },
+  passwordResetToken: String,
+  passwordResetExpires: Date,
 }, {
   timestamps: true,
 });
 
 // Index for better query performance
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
+// At most one placeholder account, even when two deletions race to create it
+userSchema.index(
+  { isSystemPlaceholder: 1 },
+  { unique: true, partialFilterExpression: { isSystemPlaceholder: true } }
+);
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -67,15 +142,127 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Virtual for whether the account is currently locked out
+userSchema.virtual('isLocked').get(function() {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+});
+
+// Record a failed password check, locking the account once the limit is reached.
+// The counter is updated atomically so a burst of parallel guesses can't
+// overwrite each other's increments and slip past the limit.
+userSchema.methods.registerFailedLogin = async function() {
+  const { maxFailedAttempts, baseMinutes, maxMinutes } = config.lockout;
+  const User = this.constructor;
+
+  let updated = await User.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  if (!updated) {
+    return this;
+  }
+
+  if (updated.failedLoginAttempts >= maxFailedAttempts) {
+    const lockMinutes = Math.min(baseMinutes * 2 ** updated.lockCount, maxMinutes);
+
+    // Only one of several requests reaching the limit together applies the lock
+    updated = await User.findOneAndUpdate(
+      { _id: this._id, failedLoginAttempts: { $gte: maxFailedAttempts } },
+      {
+        $set: { failedLoginAttempts: 0, lockUntil: new Date(Date.now() + lockMinutes * 60 * 1000) },
+        $inc: { lockCount: 1 },
+      },
+      { new: true }
+    ) || await User.findById(this._id);
+  }
+
+  // Reflect the stored state so callers can check isLocked
+  this.set({
+    failedLoginAttempts: updated.failedLoginAttempts,
+    lockUntil: updated.lockUntil,
+    lockCount: updated.lockCount,
+  });
+  return this;
+};
+
+// Clear failed attempts and any lockout
+userSchema.methods.resetLoginAttempts = function() {
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+  this.lockCount = 0;
+  return this.save({ validateBeforeSave: false });
+};
+
+const hashBackupCode = (code) => {
+  return crypto.createHash('sha256').update(code.trim().toLowerCase()).digest('hex');
+};
+
+// Store hashed copies of freshly generated backup codes
+userSchema.methods.setBackupCodes = function(codes) {
+  this.twoFactor.backupCodes = codes.map(hashBackupCode);
+};
+
+// Check a TOTP or backup code. Resolves to 'totp' or 'backup' on success or
+// null when the code is not valid. The code is consumed with a conditional
+// update, so two requests presenting the same code can't both succeed.
+userSchema.methods.verifyTwoFactorCode = async function(code) {
+  if (typeof code !== 'string' || !this.twoFactor.secret) {
+    return null;
+  }
+
+  const User = this.constructor;
+
+  const step = verifyTotp(this.twoFactor.secret, code);
+  if (step !== null) {
+    const { modifiedCount } = await User.updateOne(
+      {
+        _id: this._id,
+        $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }],
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    if (modifiedCount === 1) {
+      return 'totp';
+    }
+  }
+
+  const hash = hashBackupCode(code);
+  const { modifiedCount } = await User.updateOne(
+    { _id: this._id, 'twoFactor.backupCodes': hash },
+    { $pull: { 'twoFactor.backupCodes': hash } }
+  );
+  if (modifiedCount === 1) {
+    // pull() records a $pullAll, so a later save can't bring back codes
+    // another request consumed in the meantime
+    this.twoFactor.backupCodes.pull(hash);
+    return 'backup';
+  }
+
+  return null;
+};
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Check whether the user's role grants a permission
+userSchema.methods.can = function(permission) {
+  return hasPermission(this.role, permission);
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.tokenVersion;
+  delete userObject.avatarKeys;
+  userObject.twoFactor = { enabled: Boolean(userObject.twoFactor && userObject.twoFactor.enabled) };
+  delete userObject.passwordResetToken;
+  delete userObject.passwordResetExpires;
+  delete userObject.emailVerificationToken;
+  delete userObject.emailVerificationExpires;
   return userObject;
 };
 
@@ -0,0 +1,36 @@
+const express = require('express');
+const {
+  getUsers,
+  getUser,
+  updateUserRole,
+  updateUserStatus,
+  forcePasswordReset,
+  deleteUser,
+  unlockUser,
+} = require('../controllers/adminController');
+const { authenticate, requirePermission } = require('../utils/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const {
+  validateObjectId,
+  validatePagination,
+  validateUserFilters,
+  validateRoleUpdate,
+  validateStatusUpdate,
+  validateUserDeletion,
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// All admin routes require an authenticated user manager
+router.use(authenticate, requirePermission(PERMISSIONS.USER_MANAGE));
+
+// User management routes
+router.get('/users', validatePagination, validateUserFilters, getUsers);
+router.get('/users/:id', validateObjectId, getUser);
+router.put('/users/:id/role', validateObjectId, validateRoleUpdate, updateUserRole);
+router.put('/users/:id/status', validateObjectId, validateStatusUpdate, updateUserStatus);
+router.post('/users/:id/force-password-reset', validateObjectId, forcePasswordReset);
+router.post('/users/:id/unlock', validateObjectId, unlockUser);
+router.delete('/users/:id', validateObjectId, validateUserDeletion, deleteUser);
+
+module.exports = router;
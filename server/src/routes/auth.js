@@ -2,25 +2,79 @@ const express = require('express');
 const {
   register,
   login,
+  loginTwoFactor,
+  refresh,
+  logout,
+  logoutAll,
   getMe,
   updateProfile,
+  uploadAvatar,
+  deleteAvatar,
   changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
 } = require('../controllers/authController');
+const {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+} = require('../controllers/twoFactorController');
+const { getSessions, revokeSession } = require('../controllers/sessionController');
+const { exportAccountData, deleteAccount } = require('../controllers/accountController');
 const { authenticate } = require('../utils/auth');
+const { authAttemptLimiter } = require('../middleware/rateLimiter');
+const { parseAvatarUpload } = require('../middleware/upload');
 const {
   validateUserRegistration,
   validateUserLogin,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable,
+  validateRefreshToken,
+  validateLogout,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateVerificationToken,
+  validateObjectId,
+  validateAccountDeletion,
 } = require('../middleware/validation');
 
 const router = express.Router();
 
 // Public routes
 router.post('/register', validateUserRegistration, register);
-router.post('/login', validateUserLogin, login);
+router.post('/login', authAttemptLimiter, validateUserLogin, login);
+router.post('/2fa/verify', authAttemptLimiter, validateTwoFactorLogin, loginTwoFactor);
+router.post('/refresh', validateRefreshToken, refresh);
+router.post('/forgot-password', validateForgotPassword, forgotPassword);
+router.post('/reset-password/:token', validatePasswordReset, resetPassword);
+router.get('/verify-email/:token', validateVerificationToken, verifyEmail);
 
 // Protected routes
+router.post('/logout', authenticate, validateLogout, logout);
+router.post('/logout-all', authenticate, logoutAll);
 router.get('/me', authenticate, getMe);
 router.put('/profile', authenticate, updateProfile);
-router.put('/change-password', authenticate, changePassword);
+router.post('/profile/avatar', authenticate, parseAvatarUpload, uploadAvatar);
+router.delete('/profile/avatar', authenticate, deleteAvatar);
+router.put('/change-password', authAttemptLimiter, authenticate, changePassword);
+router.post('/resend-verification', authenticate, resendVerification);
+
+// Session management routes
+router.get('/sessions', authenticate, getSessions);
+router.delete('/sessions/:id', authenticate, validateObjectId, revokeSession);
+
+// Two-factor enrolment routes
+router.post('/2fa/setup', authenticate, setupTwoFactor);
+router.post('/2fa/enable', authenticate, validateTwoFactorCode, enableTwoFactor);
+router.post('/2fa/disable', authAttemptLimiter, authenticate, validateTwoFactorDisable, disableTwoFactor);
+router.post('/2fa/backup-codes', authenticate, validateTwoFactorCode, regenerateBackupCodes);
+
+// Personal data routes
+router.get('/export', authenticate, exportAccountData);
+router.delete('/account', authAttemptLimiter, authenticate, validateAccountDeletion, deleteAccount);
 
 module.exports = router;
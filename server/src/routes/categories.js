@@ -0,0 +1,47 @@
+const express = require('express');
+const {
+  getCategories,
+  getCategoryTree,
+  getCategory,
+  createCategory,
+  updateCategory,
+  reorderCategories,
+  updateCategoryStatus,
+  deleteCategory,
+  mergeCategory,
+  splitCategory,
+} = require('../controllers/categoryController');
+const { PERMISSIONS } = require('../config/permissions');
+const { authenticate, optionalAuthenticate, requirePermission } = require('../utils/auth');
+const {
+  validateCategory,
+  validateCategoryUpdate,
+  validateCategoryReorder,
+  validateCategoryDeletion,
+  validateCategoryMerge,
+  validateCategorySplit,
+  validateCategoryList,
+  validateStatusUpdate,
+  validateObjectId,
+  validateSlugParam,
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Public routes
+router.get('/', optionalAuthenticate, validateCategoryList, getCategories);
+// Must come before /:slug so "tree" isn't treated as a slug
+router.get('/tree', optionalAuthenticate, validateCategoryList, getCategoryTree);
+router.get('/:slug', optionalAuthenticate, validateSlugParam, getCategory);
+
+// Admin routes
+router.post('/', authenticate, requirePermission(PERMISSIONS.CATEGORY_MANAGE), validateCategory, createCategory);
+// Must come before /:id so "reorder" isn't treated as a category ID
+router.put('/reorder', authenticate, requirePermission(PERMISSIONS.CATEGORY_MANAGE), validateCategoryReorder, reorderCategories);
+router.put('/:id', authenticate, requirePermission(PERMISSIONS.CATEGORY_MANAGE), validateObjectId, validateCategoryUpdate, updateCategory);
+router.put('/:id/status', authenticate, requirePermission(PERMISSIONS.CATEGORY_MANAGE), validateObjectId, validateStatusUpdate, updateCategoryStatus);
+router.post('/:id/merge', authenticate, requirePermission(PERMISSIONS.CATEGORY_MANAGE), validateObjectId, validateCategoryMerge, mergeCategory);
+router.post('/:id/split', authenticate, requirePermission(PERMISSIONS.CATEGORY_MANAGE), validateObjectId, validateCategorySplit, splitCategory);
+router.delete('/:id', authenticate, requirePermission(PERMISSIONS.CATEGORY_MANAGE), validateObjectId, validateCategoryDeletion, deleteCategory);
+
+module.exports = router;
@@ -1,19 +1,38 @@
 const express = require('express');
 const {
   getPosts,
+  getMyPosts,
   getPost,
+  getPostBySlug,
   createPost,
+  previewPost,
   updatePost,
   deletePost,
+  getTrash,
+  restorePost,
+  purgePost,
   likePost,
   unlikePost,
   addComment,
+  deleteComment,
 } = require('../controllers/postController');
-const { authenticate } = require('../utils/auth');
+const {
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision,
+} = require('../controllers/revisionController');
+const { PERMISSIONS } = require('../config/permissions');
+const { authenticate, optionalAuthenticate, requirePermission, requireVerifiedEmail } = require('../utils/auth');
 const {
   validatePostCreation,
   validatePostUpdate,
+  validatePostPreview,
   validateObjectId,
+  validateSlugParam,
+  validateCommentId,
+  validateRevisionParam,
+  validateRevisionDiff,
   validatePagination,
   validatePostFilters,
   validateComment,
@@ -23,18 +42,34 @@ const router = express.Router();
 
 // Public routes
 router.get('/', validatePagination, validatePostFilters, getPosts);
-router.get('/:id', validateObjectId, getPost);
+// Must come before /:id so "mine" and "trash" aren't treated as post IDs
+router.get('/mine', authenticate, validatePagination, validatePostFilters, getMyPosts);
+router.get('/trash', authenticate, validatePagination, getTrash);
+router.get('/slug/:slug', optionalAuthenticate, validateSlugParam, getPostBySlug);
+router.get('/:id', optionalAuthenticate, validateObjectId, getPost);
 
 // Protected routes
-router.post('/', authenticate, validatePostCreation, createPost);
-router.put('/:id', authenticate, validateObjectId, validatePostUpdate, updatePost);
-router.delete('/:id', authenticate, validateObjectId, deletePost);
+router.post('/', authenticate, requirePermission(PERMISSIONS.POST_CREATE), requireVerifiedEmail, validatePostCreation, createPost);
+router.post('/preview', authenticate, validatePostPreview, previewPost);
+router.put('/:id', authenticate, requirePermission(PERMISSIONS.POST_EDIT_OWN), validateObjectId, validatePostUpdate, updatePost);
+router.delete('/:id', authenticate, requirePermission(PERMISSIONS.POST_DELETE_OWN), validateObjectId, deletePost);
+
+// Trash routes
+router.post('/:id/restore', authenticate, requirePermission(PERMISSIONS.POST_DELETE_OWN), validateObjectId, restorePost);
+router.delete('/trash/:id', authenticate, requirePermission(PERMISSIONS.POST_DELETE_OWN), validateObjectId, purgePost);
+
+// Revision history routes
+router.get('/:id/revisions', authenticate, validateObjectId, getRevisions);
+router.get('/:id/revisions/diff', authenticate, validateObjectId, validateRevisionDiff, diffRevisions);
+router.get('/:id/revisions/:rev', authenticate, validateObjectId, validateRevisionParam, getRevision);
+router.post('/:id/revisions/:rev/restore', authenticate, requirePermission(PERMISSIONS.POST_EDIT_OWN), validateObjectId, validateRevisionParam, restoreRevision);
 
 // Like/Unlike routes
 router.post('/:id/like', authenticate, validateObjectId, likePost);
 router.delete('/:id/like', authenticate, validateObjectId, unlikePost);
 
 // Comment routes
-router.post('/:id/comments', authenticate, validateObjectId, validateComment, addComment);
+router.post('/:id/comments', authenticate, requirePermission(PERMISSIONS.COMMENT_CREATE), requireVerifiedEmail, validateObjectId, validateComment, addComment);
+router.delete('/:id/comments/:commentId', authenticate, requirePermission(PERMISSIONS.COMMENT_DELETE_OWN), validateObjectId, validateCommentId, deleteComment);
 
 module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const { getSuggestions } = require('../controllers/searchController');
+const { validateSuggestionQuery } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Public routes
+router.get('/suggest', validateSuggestionQuery, getSuggestions);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const { getTags, renameTag, mergeTags } = require('../controllers/tagController');
+const { PERMISSIONS } = require('../config/permissions');
+const { authenticate, requirePermission } = require('../utils/auth');
+const { validateTagList, validateTagRename, validateTagMerge } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Public routes
+router.get('/', validateTagList, getTags);
+
+// Admin routes
+// Must come before /:tag so "merge" isn't treated as a tag
+router.post('/merge', authenticate, requirePermission(PERMISSIONS.TAG_MANAGE), validateTagMerge, mergeTags);
+router.put('/:tag', authenticate, requirePermission(PERMISSIONS.TAG_MANAGE), validateTagRename, renameTag);
+
+module.exports = router;
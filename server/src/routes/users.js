@@ -0,0 +1,10 @@
+const express = require('express');
+const { getUserProfile } = require('../controllers/userController');
+const { validateUsernameParam } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Public routes
+router.get('/:username', validateUsernameParam, getUserProfile);
+
+module.exports = router;
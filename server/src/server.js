@@ -1,6 +1,11 @@
 const app = require('./app');
 const mongoose = require('mongoose');
 const { logger } = require('./utils/logger');
+const config = require('./config');
+const { registerJob, startJobs, stopJobs } = require('./utils/jobRunner');
+const { purgeScheduledDeletions } = require('./utils/accountDeletion');
+const { publishScheduledPosts } = require('./utils/scheduledPosts');
+const { purgeExpiredTrash } = require('./utils/trash');
 
 const PORT = process.env.PORT || 5000;
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/mern-blog';
@@ -40,6 +45,12 @@ const startServer = async () => {
   try {
     await connectDB();
 
+    // Background jobs run inside the server process
+    registerJob('publish-scheduled-posts', config.jobs.publishScheduledPostsSeconds * 1000, publishScheduledPosts);
+    registerJob('purge-deleted-accounts', config.jobs.purgeDeletedAccountsMinutes * 60 * 1000, purgeScheduledDeletions);
+    registerJob('purge-trash', config.jobs.purgeTrashMinutes * 60 * 1000, purgeExpiredTrash);
+    startJobs();
+
     const server = app.listen(PORT, () => {
       logger.info(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
     });
@@ -47,6 +58,7 @@ const startServer = async () => {
     // Graceful shutdown
     process.on('SIGTERM', () => {
       logger.info('SIGTERM received. Shutting down gracefully...');
+      stopJobs();
       server.close(() => {
         logger.info('Process terminated');
         process.exit(0);
@@ -55,6 +67,7 @@ const startServer = async () => {
 
     process.on('SIGINT', () => {
       logger.info('SIGINT received. Shutting down gracefully...');
+      stopJobs();
       server.close(() => {
         logger.info('Process terminated');
         process.exit(0);
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
+const Category = require('../models/Category');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const Session = require('../models/Session');
+const config = require('../config');
+const { removeAvatarFiles } = require('./avatar');
+const { logger, errorLogger } = require('./logger');
+
+// Inactive placeholder account that anonymised comments, likes and
+// reassigned posts point at once their author is gone. It is found by its
+// flag rather than its username, which a real user could otherwise claim.
+const getDeletedUserPlaceholder = async () => {
+  const existing = await User.findOne({ isSystemPlaceholder: true });
+  if (existing) {
+    return existing;
+  }
+
+  // Accounts registered before the name was reserved may already hold it;
+  // the placeholder then takes a suffixed name instead
+  for (const suffix of ['', `_${crypto.randomBytes(3).toString('hex')}`]) {
+    const placeholder = new User({
+      username: `${config.accountDeletion.placeholderUsername}${suffix}`,
+      // .invalid is reserved (RFC 2606) so mail can never be delivered, but the
+      // schema's email pattern rejects it, hence skipping validation below
+      email: `deleted-user${suffix}@mern-blog.invalid`,
+      password: crypto.randomBytes(32).toString('hex'),
+      isActive: false,
+      isSystemPlaceholder: true,
+    });
+
+    try {
+      return await placeholder.save({ validateBeforeSave: false });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      // Another deletion created it first
+      const created = await User.findOne({ isSystemPlaceholder: true });
+      if (created) {
+        return created;
+      }
+
+      logger.warn('Deleted-user placeholder name is taken by another account', {
+        username: placeholder.username,
+        email: placeholder.email,
+      });
+    }
+  }
+
+  throw new Error('Could not create the deleted-user placeholder: its username and email are taken');
+};
+
+// Permanently remove a user and their personal data.
+// posts: 'delete' removes their posts, 'reassign' moves them to `reassignTo`
+// (defaults to the deleted-user placeholder). Comments they left on other
+// posts and revisions they edited are kept but attributed to the placeholder;
+// their likes are removed, since a post can hold only one like per user.
+const eraseUser = async (user, { posts = 'delete', reassignTo } = {}) => {
+  const placeholder = await getDeletedUserPlaceholder();
+  let postsAffected;
+
+  if (posts === 'reassign') {
+    const result = await Post.updateMany({ author: user._id }, { author: reassignTo || placeholder._id });
+    postsAffected = result.modifiedCount;
+  } else {
+    const postIds = await Post.distinct('_id', { author: user._id });
+    const categoryIds = await Post.distinct('category', { author: user._id });
+    const result = await Post.deleteMany({ author: user._id });
+    await PostRevision.deleteMany({ post: { $in: postIds } });
+    postsAffected = result.deletedCount;
+
+    // Update category post counts
+    const categories = await Category.find({ _id: { $in: categoryIds } });
+    await Promise.all(categories.map(category => category.updatePostCount()));
+  }
+
+  await Post.updateMany(
+    { 'comments.user': user._id },
+    { $set: { 'comments.$[comment].user': placeholder._id } },
+    { arrayFilters: [{ 'comment.user': user._id }] }
+  );
+  await Post.updateMany({ 'likes.user': user._id }, { $pull: { likes: { user: user._id } } });
+
+  await PostRevision.updateMany({ editor: user._id }, { editor: placeholder._id });
+
+  await RefreshToken.deleteMany({ user: user._id });
+  await RevokedToken.deleteMany({ user: user._id });
+  await Session.deleteMany({ user: user._id });
+  await User.deleteOne({ _id: user._id });
+  await removeAvatarFiles(user.avatarKeys);
+
+  return { postsAffected };
+};
+
+// Schedule a user's account for deletion after the configured grace period
+const scheduleAccountDeletion = (user, { posts }) => {
+  const scheduledFor = new Date(Date.now() + config.accountDeletion.graceDays * 24 * 60 * 60 * 1000);
+
+  user.deletion = {
+    requestedAt: new Date(),
+    scheduledFor,
+    posts,
+  };
+
+  return user.save({ validateBeforeSave: false });
+};
+
+// Erase every account whose grace period has ended. A failure is logged and
+// retried on the next run without holding up the other accounts.
+// Resolves to the number of accounts erased.
+const purgeScheduledDeletions = async (now = new Date()) => {
+  const users = await User.find({ 'deletion.scheduledFor': { $lte: now } });
+  let erased = 0;
+
+  for (const user of users) {
+    try {
+      const { postsAffected } = await eraseUser(user, { posts: user.deletion.posts });
+      erased += 1;
+      logger.info('Scheduled account deletion completed', { userId: user._id, postsAffected });
+    } catch (error) {
+      errorLogger(error, { context: 'Scheduled account deletion', userId: user._id });
+    }
+  }
+
+  return erased;
+};
+
+module.exports = {
+  getDeletedUserPlaceholder,
+  eraseUser,
+  scheduleAccountDeletion,
+  purgeScheduledDeletions,
+};
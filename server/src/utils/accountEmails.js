@@ -0,0 +1,82 @@
+const { generatePasswordResetToken, generateEmailVerificationToken } = require('./auth');
+const { sendMail } = require('./mailer');
+
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+const PASSWORD_RESET_EXPIRE_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30;
+const EMAIL_VERIFICATION_EXPIRE_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+
+// Send a message, treating a transport that reports it undelivered (e.g. the
+// console transport in production) the same as one that throws
+const deliverMail = async (message) => {
+  const result = await sendMail(message);
+  if (result && result.delivered === false) {
+    throw new Error(`Mail to ${message.to} was not delivered by the ${result.transport} transport`);
+  }
+  return result;
+};
+
+// Issue a fresh verification token and email the link to the user
+const sendVerificationEmail = async (user) => {
+  const { verificationToken, hashedToken } = generateEmailVerificationToken();
+
+  user.emailVerificationToken = hashedToken;
+  user.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_EXPIRE_HOURS * 60 * 60 * 1000);
+  await user.save({ validateBeforeSave: false });
+
+  const verifyUrl = `${CLIENT_URL}/verify-email/${verificationToken}`;
+
+  try {
+    await deliverMail({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: `Hi ${user.username},\n\n`
+        + `Please confirm your email address by opening the link below:\n\n${verifyUrl}\n\n`
+        + `This link expires in ${EMAIL_VERIFICATION_EXPIRE_HOURS} hours.`,
+    });
+  } catch (mailError) {
+    // Don't leave a usable token behind if the user never received it
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+    throw mailError;
+  }
+};
+
+// Issue a password reset token and email the link to the user.
+// `forced` is set when an admin requires the reset rather than the user asking for it.
+const sendPasswordResetEmail = async (user, { forced = false } = {}) => {
+  const { resetToken, hashedToken } = generatePasswordResetToken();
+
+  user.passwordResetToken = hashedToken;
+  user.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_EXPIRE_MINUTES * 60 * 1000);
+  await user.save({ validateBeforeSave: false });
+
+  const resetUrl = `${CLIENT_URL}/reset-password/${resetToken}`;
+  const intro = forced
+    ? 'An administrator has required you to choose a new password before you can sign in again.'
+    : 'We received a request to reset your password.';
+  const outro = forced
+    ? 'If the link expires, request a new one from the "Forgot password" page.'
+    : 'If you did not request a reset, you can ignore this email.';
+
+  try {
+    await deliverMail({
+      to: user.email,
+      subject: forced ? 'Password reset required' : 'Password reset request',
+      text: `Hi ${user.username},\n\n`
+        + `${intro} Use the link below to choose a new one:\n\n${resetUrl}\n\n`
+        + `This link expires in ${PASSWORD_RESET_EXPIRE_MINUTES} minutes. ${outro}`,
+    });
+  } catch (mailError) {
+    // Don't leave a usable token behind if the user never received it
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+    throw mailError;
+  }
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+};
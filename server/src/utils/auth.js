@@ -1,14 +1,164 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const Session = require('../models/Session');
+const config = require('../config');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-const JWT_EXPIRE = process.env.JWT_EXPIRE || '7d';
+const JWT_EXPIRE = process.env.JWT_EXPIRE || '15m';
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 7;
+const TWO_FACTOR_CHALLENGE_EXPIRE = '5m';
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, JWT_SECRET, {
+// Generate JWT token. tokenVersion must match the user's current version for
+// the token to be accepted, and the jwtid lets a single token be revoked.
+// sessionId ties the token to a login session that can be revoked as a whole.
+const generateToken = (userId, tokenVersion = 0, sessionId) => {
+  const payload = { userId, tokenVersion };
+  if (sessionId) {
+    payload.sid = sessionId;
+  }
+
+  return jwt.sign(payload, JWT_SECRET, {
     expiresIn: JWT_EXPIRE,
+    jwtid: crypto.randomBytes(16).toString('hex'),
+  });
+};
+
+// Generate short-lived token proving the password step of a two-factor login
+const generateTwoFactorChallenge = (userId) => {
+  return jwt.sign({ userId, purpose: '2fa' }, JWT_SECRET, {
+    expiresIn: TWO_FACTOR_CHALLENGE_EXPIRE,
+  });
+};
+
+// Verify two-factor challenge token
+const verifyTwoFactorChallenge = (challengeToken) => {
+  const decoded = verifyToken(challengeToken);
+
+  if (decoded.purpose !== '2fa') {
+    throw new Error('Invalid token');
+  }
+
+  return decoded;
+};
+
+// Generate refresh token, persisted only as a hash
+const generateRefreshToken = async (userId, family = crypto.randomBytes(16).toString('hex')) => {
+  const refreshToken = crypto.randomBytes(40).toString('hex');
+
+  await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(refreshToken),
+    family,
+    expiresAt: getRefreshExpiry(),
+  });
+
+  return refreshToken;
+};
+
+// Refresh token / session expiry from now
+const getRefreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+
+// Record a new login session and generate its access and refresh token pair.
+// The session ID doubles as the refresh token family.
+const generateAuthTokens = async (user, req) => {
+  const session = await Session.create({
+    user: user._id,
+    userAgent: req.get('User-Agent'),
+    ip: req.ip,
+    expiresAt: getRefreshExpiry(),
   });
+  const sessionId = session._id.toString();
+
+  return {
+    token: generateToken(user._id, user.tokenVersion, sessionId),
+    refreshToken: await generateRefreshToken(user._id, sessionId),
+  };
+};
+
+// Revoke a session together with its refresh token family
+const revokeSession = async (sessionId) => {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  await RefreshToken.revokeFamily(sessionId.toString());
+};
+
+// Invalidate every access token, refresh token and session of a user
+const revokeAllSessions = async (userId) => {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  await RefreshToken.revokeAllForUser(userId);
+  await Session.revokeAllForUser(userId);
+};
+
+// Exchange a refresh token for a new one in the same family.
+// Returns { userId, sessionId, refreshToken } on success, { reused: true } when
+// an already rotated token is presented (the session is revoked), or null.
+const rotateRefreshToken = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = crypto.randomBytes(40).toString('hex');
+  const nextHash = hashToken(nextToken);
+
+  // Claim the token atomically so concurrent requests can't both rotate it
+  const current = await RefreshToken.findOneAndUpdate(
+    {
+      tokenHash,
+      replacedBy: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { replacedBy: nextHash } }
+  );
+
+  if (!current) {
+    const existing = await RefreshToken.findOne({ tokenHash });
+
+    if (existing && existing.replacedBy) {
+      await revokeSession(existing.family);
+      return { reused: true, userId: existing.user };
+    }
+
+    return null;
+  }
+
+  const expiresAt = getRefreshExpiry();
+
+  await RefreshToken.create({
+    user: current.user,
+    tokenHash: nextHash,
+    family: current.family,
+    expiresAt,
+  });
+
+  // Sessions created before session tracking use a random family with no Session document
+  if (mongoose.isValidObjectId(current.family)) {
+    await Session.updateOne(
+      { _id: current.family, revokedAt: null },
+      { $set: { expiresAt, lastSeenAt: new Date() } }
+    );
+  }
+
+  return { userId: current.user, sessionId: current.family, refreshToken: nextToken };
+};
+
+// Revoke a single access token until it expires
+const revokeAccessToken = async (decoded) => {
+  if (!decoded.jti) return;
+
+  await RevokedToken.updateOne(
+    { jti: decoded.jti },
+    {
+      $setOnInsert: {
+        user: decoded.userId,
+        expiresAt: new Date(decoded.exp * 1000),
+      },
+    },
+    { upsert: true }
+  );
 };
 
 // Verify JWT token
@@ -35,6 +185,11 @@ const authenticate = async (req, res, next) => {
     const token = authHeader.split(' ')[1];
     const decoded = verifyToken(token);
 
+    // Purpose-bound tokens (e.g. two-factor challenges) are not access tokens
+    if (decoded.purpose) {
+      throw new Error('Invalid token');
+    }
+
     // Get user from database
     const user = await User.findById(decoded.userId).select('-password');
 
@@ -52,11 +207,31 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save({ validateBeforeSave: false });
+    // Reject tokens issued before a logout-all / password reset, or revoked individually
+    if ((decoded.tokenVersion || 0) !== (user.tokenVersion || 0)
+      || (decoded.jti && await RevokedToken.isRevoked(decoded.jti))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked.',
+      });
+    }
+
+    // Sessions can be revoked individually; record activity on the way through
+    if (decoded.sid) {
+      const session = await Session.findById(decoded.sid);
+
+      if (!session || !session.isActive) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked.',
+        });
+      }
+
+      await session.touch(req.ip);
+    }
 
     req.user = user;
+    req.auth = decoded;
     next();
   } catch (error) {
     return res.status(401).json({
@@ -66,6 +241,18 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+// Middleware for public routes that behave differently for signed-in users:
+// authenticates when a token is sent, otherwise continues anonymously
+const optionalAuthenticate = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return next();
+  }
+
+  return authenticate(req, res, next);
+};
+
 // Middleware to authorize admin users
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -87,6 +274,27 @@ const authorize = (...roles) => {
   };
 };
 
+// Middleware to require one or more named permissions (see config/permissions)
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required.',
+      });
+    }
+
+    if (!permissions.every(permission => req.user.can(permission))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Insufficient permissions.',
+      });
+    }
+
+    next();
+  };
+};
+
 // Middleware to check if user owns the resource
 const checkOwnership = (modelName) => {
   return async (req, res, next) => {
@@ -102,8 +310,9 @@ const checkOwnership = (modelName) => {
         });
       }
 
-      // Check if user owns the resource or is admin
-      if (resource.author && resource.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      // Check if user owns the resource or may edit anyone's
+      const editAnyPermission = `${modelName.toLowerCase()}:edit:any`;
+      if (resource.author && resource.author.toString() !== req.user._id.toString() && !req.user.can(editAnyPermission)) {
         return res.status(403).json({
           success: false,
           message: 'Access denied. You can only modify your own resources.',
@@ -121,25 +330,57 @@ const checkOwnership = (modelName) => {
   };
 };
 
+// Hash token for password reset
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
 // Generate secure password reset token
 const generatePasswordResetToken = () => {
   const resetToken = crypto.randomBytes(32).toString('hex');
-  const hashedToken = crypto.createHash('sha256').hash(resetToken, 'hex');
+  const hashedToken = hashToken(resetToken);
 
   return { resetToken, hashedToken };
 };
 
-// Hash token for password reset
-const hashToken = (token) => {
-  return crypto.createHash('sha256').update(token).digest('hex');
+// Generate secure email verification token
+const generateEmailVerificationToken = () => {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+  const hashedToken = hashToken(verificationToken);
+
+  return { verificationToken, hashedToken };
+};
+
+// Middleware to require a verified email when the feature switch is on
+const requireVerifiedEmail = (req, res, next) => {
+  if (config.requireEmailVerification && !req.user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address before continuing.',
+    });
+  }
+
+  next();
 };
 
 module.exports = {
   generateToken,
+  generateRefreshToken,
+  generateAuthTokens,
+  rotateRefreshToken,
+  revokeAccessToken,
+  revokeSession,
+  revokeAllSessions,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
   verifyToken,
   authenticate,
+  optionalAuthenticate,
   authorize,
+  requirePermission,
   checkOwnership,
+  requireVerifiedEmail,
   generatePasswordResetToken,
+  generateEmailVerificationToken,
   hashToken,
 };
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+const { logger } = require('./logger');
+
+// Square variants generated for every uploaded avatar (pixels)
+const AVATAR_SIZES = {
+  small: 64,
+  medium: 128,
+  large: 256,
+};
+
+// Resize an uploaded image into each avatar variant. sharp rejects buffers
+// that aren't really images, whatever the client claimed the type was.
+const processAvatar = async (buffer) => {
+  const image = sharp(buffer, { failOn: 'error' }).rotate();
+  await image.metadata();
+
+  const entries = await Promise.all(
+    Object.entries(AVATAR_SIZES).map(async ([name, size]) => {
+      const output = await image
+        .clone()
+        .resize(size, size, { fit: 'cover' })
+        .webp({ quality: 85 })
+        .toBuffer();
+      return [name, output];
+    })
+  );
+
+  return Object.fromEntries(entries);
+};
+
+// Remove stored avatar files. Failures are logged rather than thrown so a
+// storage hiccup never blocks the profile change that triggered the cleanup.
+const removeAvatarFiles = async (keys = []) => {
+  const storage = getStorage();
+
+  await Promise.all(keys.map(async (key) => {
+    try {
+      await storage.remove(key);
+    } catch (error) {
+      logger.warn('Failed to remove avatar file', { key, error: error.message });
+    }
+  }));
+};
+
+// Store processed avatar variants for a user. Resolves to the public URL of
+// each variant and the storage keys needed to delete them later.
+const storeAvatar = async (userId, variants) => {
+  const storage = getStorage();
+  const id = crypto.randomBytes(8).toString('hex');
+
+  const urls = {};
+  const keys = [];
+
+  try {
+    for (const [name, output] of Object.entries(variants)) {
+      const { key, url } = await storage.save(`avatars/${userId}/${id}-${name}.webp`, output, 'image/webp');
+      keys.push(key);
+      urls[name] = url;
+    }
+  } catch (error) {
+    // Don't leave a partial set of variants behind
+    await removeAvatarFiles(keys);
+    throw error;
+  }
+
+  return { urls, keys };
+};
+
+module.exports = {
+  AVATAR_SIZES,
+  processAvatar,
+  storeAvatar,
+  removeAvatarFiles,
+};
@@ -0,0 +1,59 @@
+// Walk the category hierarchy in memory. Each helper takes the flat list of
+// categories from a single query, so no request issues a query per level.
+
+const toId = (value) => (value ? (value._id || value).toString() : null);
+
+// Nest a flat, sorted list of categories under their parents. Categories
+// whose parent isn't in the list (e.g. it is inactive) become roots.
+const buildTree = (categories) => {
+  const nodes = new Map(categories.map(category => [
+    toId(category),
+    { ...(typeof category.toJSON === 'function' ? category.toJSON() : category), children: [] },
+  ]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = nodes.get(toId(node.parent));
+    // A category listed as its own parent is treated as a root
+    if (parent && parent !== node) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  return roots;
+};
+
+// IDs of a category's ancestors, nearest first. Stops at a repeated ID so a
+// corrupt parent loop can't hang the walk.
+const getAncestorIds = (categories, categoryId) => {
+  const parents = new Map(categories.map(category => [toId(category), toId(category.parent)]));
+  const ancestors = [];
+  const seen = new Set([toId(categoryId)]);
+  let current = parents.get(toId(categoryId));
+
+  while (current && !seen.has(current)) {
+    ancestors.push(current);
+    seen.add(current);
+    current = parents.get(current);
+  }
+
+  return ancestors;
+};
+
+// Whether making `parentId` the parent of `categoryId` would create a loop,
+// i.e. the new parent is the category itself or one of its descendants
+const wouldCreateCycle = (categories, categoryId, parentId) => {
+  if (!parentId) {
+    return false;
+  }
+  const id = toId(categoryId);
+  return toId(parentId) === id || getAncestorIds(categories, parentId).includes(id);
+};
+
+module.exports = {
+  buildTree,
+  getAncestorIds,
+  wouldCreateCycle,
+};
@@ -0,0 +1,159 @@
+// Text diffing for post revisions, using Myers' O((N+M)D) algorithm.
+// Produces a list of { type: 'equal' | 'insert' | 'delete', value } operations.
+
+// Backtracking keeps O(D^2) state, so very different or very long texts are
+// reported as too large to diff instead of being compared
+const MAX_DIFF_TOKENS = 50000;
+const MAX_EDIT_DISTANCE = 2000;
+
+// Split text into lines, or into words keeping the whitespace between them
+// so that joining the tokens reproduces the original text
+const tokenize = (text, mode) => {
+  const value = text || '';
+  if (value === '') {
+    return [];
+  }
+  if (mode === 'word') {
+    return value.split(/(\s+)/).filter(Boolean);
+  }
+  return value.split('\n');
+};
+
+// Shortest edit script between two token arrays, or null when the texts are
+// too long or need more than maxEditDistance edits
+const diffTokens = (a, b, { maxEditDistance = MAX_EDIT_DISTANCE } = {}) => {
+  const n = a.length;
+  const m = b.length;
+  if (n + m > MAX_DIFF_TOKENS) {
+    return null;
+  }
+
+  const max = Math.min(n + m, maxEditDistance);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  const snapshotValue = (snapshot, k) => snapshot.data[k + offset - snapshot.start];
+
+  for (let d = 0; d <= max; d += 1) {
+    // Only diagonals -d-1..d+1 are read when backtracking through step d
+    const start = offset - d - 1;
+    trace.push({ start, data: v.slice(start, offset + d + 2) });
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[k - 1 + offset] < v[k + 1 + offset]))
+        ? v[k + 1 + offset]
+        : v[k - 1 + offset] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x += 1;
+        y += 1;
+      }
+
+      v[k + offset] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b, snapshotValue);
+      }
+    }
+  }
+
+  return null;
+};
+
+const backtrack = (trace, a, b, snapshotValue) => {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d -= 1) {
+    const snapshot = trace[d];
+    const k = x - y;
+
+    const prevK = (k === -d || (k !== d && snapshotValue(snapshot, k - 1) < snapshotValue(snapshot, k + 1)))
+      ? k + 1
+      : k - 1;
+    const prevX = snapshotValue(snapshot, prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', token: a[x - 1] });
+      x -= 1;
+      y -= 1;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: 'insert', token: b[y - 1] });
+      } else {
+        ops.push({ type: 'delete', token: a[x - 1] });
+      }
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+};
+
+// Diff tokens and merge consecutive operations of the same type, keeping
+// the tokens so callers can both join and count them
+const diffMerged = (oldText, newText, mode) => {
+  const ops = diffTokens(tokenize(oldText, mode), tokenize(newText, mode));
+  if (!ops) {
+    return null;
+  }
+
+  return ops.reduce((merged, op) => {
+    const last = merged[merged.length - 1];
+    if (last && last.type === op.type) {
+      last.tokens.push(op.token);
+    } else {
+      merged.push({ type: op.type, tokens: [op.token] });
+    }
+    return merged;
+  }, []);
+};
+
+const joinTokens = (merged, mode) => {
+  const separator = mode === 'word' ? '' : '\n';
+  return merged.map(({ type, tokens }) => ({ type, value: tokens.join(separator) }));
+};
+
+// Diff two strings by line (default) or by word. Consecutive operations of
+// the same type are merged; line values are joined with newlines.
+// Resolves to null when the texts are too large to diff.
+const diffText = (oldText, newText, { mode = 'line' } = {}) => {
+  const merged = diffMerged(oldText, newText, mode);
+  return merged && joinTokens(merged, mode);
+};
+
+// Diff two strings as diffText does, also counting the inserted and deleted
+// tokens from the same pass. Resolves to null when too large to diff.
+const diffWithStats = (oldText, newText, { mode = 'line' } = {}) => {
+  const merged = diffMerged(oldText, newText, mode);
+  if (!merged) {
+    return null;
+  }
+
+  const countTokens = type => merged
+    .filter(op => op.type === type)
+    .reduce((total, op) => total + op.tokens.length, 0);
+
+  return {
+    operations: joinTokens(merged, mode),
+    stats: {
+      insertions: countTokens('insert'),
+      deletions: countTokens('delete'),
+    },
+  };
+};
+
+module.exports = {
+  MAX_DIFF_TOKENS,
+  MAX_EDIT_DISTANCE,
+  diffText,
+  diffWithStats,
+};
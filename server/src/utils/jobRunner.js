@@ -0,0 +1,61 @@
+const { logger, errorLogger } = require('./logger');
+
+// Minimal in-process job runner for periodic background work. Each job runs
+// once on start and then every intervalMs; a run is skipped if the previous
+// one is still going. Timers are unref'd so they never keep the process alive.
+const jobs = new Map();
+
+const registerJob = (name, intervalMs, handler) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job "${name}" is already registered`);
+  }
+  jobs.set(name, { name, intervalMs, handler, timer: null, running: false });
+};
+
+const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job "${name}"`);
+  }
+
+  if (job.running) {
+    return;
+  }
+
+  job.running = true;
+  try {
+    await job.handler();
+  } catch (error) {
+    errorLogger(error, { context: 'Background job', job: name });
+  } finally {
+    job.running = false;
+  }
+};
+
+const startJobs = () => {
+  jobs.forEach((job) => {
+    if (job.timer) {
+      return;
+    }
+
+    runJob(job.name);
+    job.timer = setInterval(() => runJob(job.name), job.intervalMs);
+    job.timer.unref();
+
+    logger.info('Background job started', { job: job.name, intervalMs: job.intervalMs });
+  });
+};
+
+const stopJobs = () => {
+  jobs.forEach((job) => {
+    clearInterval(job.timer);
+    job.timer = null;
+  });
+};
+
+module.exports = {
+  registerJob,
+  runJob,
+  startJobs,
+  stopJobs,
+};
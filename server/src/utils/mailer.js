@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'MERN Blog <no-reply@mern-blog.local>';
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, '../../logs/mail');
+
+// Console transport - logs outgoing mail instead of sending it. Message
+// bodies carry live reset and verification links, so in production only the
+// envelope is logged and the mail is reported as undelivered.
+const consoleTransport = {
+  name: 'console',
+  send: async (message) => {
+    if (process.env.NODE_ENV === 'production') {
+      logger.warn('Outgoing mail not delivered: no mail transport configured', {
+        to: message.to,
+        subject: message.subject,
+      });
+      return { delivered: false, transport: 'console' };
+    }
+
+    logger.info('Outgoing mail', message);
+    return { delivered: true, transport: 'console' };
+  },
+};
+
+// File transport - writes each message to a JSON file for local inspection
+const fileTransport = {
+  name: 'file',
+  send: async (message) => {
+    await fs.promises.mkdir(MAIL_DIR, { recursive: true });
+
+    const filename = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+    const filePath = path.join(MAIL_DIR, filename);
+    await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+
+    return { delivered: true, transport: 'file', path: filePath };
+  },
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+};
+
+let activeTransport = transports[process.env.MAIL_TRANSPORT] || consoleTransport;
+
+// Plug in a different transport (e.g. SMTP or a provider SDK wrapper).
+// A transport is any object exposing an async send(message) method.
+const setTransport = (transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  activeTransport = transport;
+};
+
+const getTransport = () => activeTransport;
+
+// Send an email through the active transport
+const sendMail = async ({ to, subject, text, html }) => {
+  const message = {
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    ...(html && { html }),
+    date: new Date().toISOString(),
+  };
+
+  return activeTransport.send(message);
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  getTransport,
+  consoleTransport,
+  fileTransport,
+};
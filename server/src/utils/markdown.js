@@ -0,0 +1,74 @@
+const { Marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+
+const EXCERPT_LENGTH = 200;
+
+// GitHub-flavoured Markdown; fenced code blocks get a "language-xxx" class
+// that client-side syntax highlighters pick up
+const markdown = new Marked({ gfm: true });
+
+// Everything Markdown can produce, minus anything that can run script:
+// no <script>/<style>/<iframe>, no on* attributes, and only http(s)/mailto
+// or relative URLs
+const SANITIZE_OPTIONS = {
+  allowedTags: [...sanitizeHtml.defaults.allowedTags, 'img', 'del', 'input'],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel'],
+    img: ['src', 'alt', 'title'],
+    code: ['class'],
+    th: ['align'],
+    td: ['align'],
+    // GFM task list checkboxes
+    input: ['type', 'checked', 'disabled'],
+  },
+  allowedClasses: {
+    code: ['language-*'],
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: {
+    img: ['http', 'https'],
+  },
+  allowProtocolRelative: false,
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'noopener noreferrer nofollow' }),
+  },
+  exclusiveFilter: frame => frame.tag === 'input' && frame.attribs.type !== 'checkbox',
+};
+
+// Render Markdown to HTML that is safe to insert into the page
+const renderMarkdown = (source) => {
+  const html = markdown.parse(String(source || ''));
+  return sanitizeHtml(html, SANITIZE_OPTIONS);
+};
+
+// Plain text of rendered HTML, for excerpts and search snippets
+const toPlainText = (html) => {
+  // Keep block elements apart once their tags are gone
+  const spaced = String(html || '').replace(/<(br|\/(p|h[1-6]|li|pre|blockquote|div|tr|td|th))\b[^>]*>/gi, '$& ');
+
+  return sanitizeHtml(spaced, { allowedTags: [], allowedAttributes: {} })
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// Plain-text summary of rendered HTML for post listings
+const createExcerpt = (html, length = EXCERPT_LENGTH) => {
+  const text = toPlainText(html);
+
+  if (text.length <= length) {
+    return text;
+  }
+  return `${text.slice(0, length).replace(/\s+\S*$/, '')}…`;
+};
+
+module.exports = {
+  EXCERPT_LENGTH,
+  renderMarkdown,
+  toPlainText,
+  createExcerpt,
+};
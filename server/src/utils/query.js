@@ -0,0 +1,8 @@
+// Escape user input for safe use inside a RegExp / MongoDB $regex
+const escapeRegex = (value) => {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+module.exports = {
+  escapeRegex,
+};
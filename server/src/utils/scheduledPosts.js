@@ -0,0 +1,23 @@
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const { logger } = require('./logger');
+
+// Publish scheduled posts whose publish time has passed
+const publishScheduledPosts = async (now = new Date()) => {
+  const published = await Post.publishDueScheduled(now);
+
+  if (published.length > 0) {
+    // Update category post counts
+    const categoryIds = [...new Set(published.map(post => post.category.toString()))];
+    const categories = await Category.find({ _id: { $in: categoryIds } });
+    await Promise.all(categories.map(category => category.updatePostCount()));
+
+    logger.info('Scheduled posts published', { count: published.length });
+  }
+
+  return published.length;
+};
+
+module.exports = {
+  publishScheduledPosts,
+};
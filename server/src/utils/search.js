@@ -0,0 +1,120 @@
+const Post = require('../models/Post');
+const { escapeRegex } = require('./query');
+const { toPlainText } = require('./markdown');
+
+// Queries shorter than this skip the text index (which only matches whole,
+// stemmed words) and go straight to the prefix/substring fallback
+const MIN_TEXT_SEARCH_LENGTH = 3;
+const SNIPPET_LENGTH = 160;
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  '\'': '&#39;',
+};
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+// Split a search query into lowercase words
+const getSearchTerms = (query) => {
+  return [...new Set(String(query).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])];
+};
+
+// Matches words starting with any term, so "run" also highlights "running"
+// the way the stemmed text index matches it
+const buildTermPattern = (terms) => {
+  return new RegExp(`(?<![\\p{L}\\p{N}])(${terms.map(escapeRegex).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+};
+
+// HTML-escape text and wrap matching words in <mark>
+const highlight = (text, terms) => {
+  if (terms.length === 0) {
+    return escapeHtml(text);
+  }
+
+  const pattern = buildTermPattern(terms);
+  let result = '';
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(pattern)) {
+    result += `${escapeHtml(text.slice(lastIndex, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+
+  return result + escapeHtml(text.slice(lastIndex));
+};
+
+// A window of text around the first match, highlighted
+const buildSnippet = (text, terms, length = SNIPPET_LENGTH) => {
+  const match = terms.length > 0 ? buildTermPattern(terms).exec(text) : null;
+  const matchIndex = match ? match.index : 0;
+
+  let start = Math.max(0, matchIndex - Math.floor(length / 3));
+  let end = Math.min(text.length, start + length);
+  start = Math.max(0, end - length);
+
+  // Don't cut words in half at either end
+  if (start > 0) {
+    start = text.indexOf(' ', start) + 1 || start;
+  }
+  if (end < text.length) {
+    end = text.lastIndexOf(' ', end) > start ? text.lastIndexOf(' ', end) : end;
+  }
+
+  const prefix = start > 0 ? '… ' : '';
+  const suffix = end < text.length ? ' …' : '';
+
+  return `${prefix}${highlight(text.slice(start, end), terms)}${suffix}`;
+};
+
+// Search posts matching `filter`. Uses the weighted text index and sorts by
+// relevance; short queries, and queries the index can't match (partial
+// words), fall back to an escaped case-insensitive substring match.
+const searchPosts = async (filter, query, { skip = 0, limit = 10 } = {}) => {
+  const terms = getSearchTerms(query);
+  let mode = 'text';
+  let searchFilter = { ...filter, $text: { $search: query } };
+  let total = query.length >= MIN_TEXT_SEARCH_LENGTH ? await Post.countDocuments(searchFilter) : 0;
+
+  if (total === 0) {
+    mode = 'fallback';
+    const pattern = new RegExp(escapeRegex(query), 'i');
+    searchFilter = {
+      ...filter,
+      $or: [{ title: pattern }, { tags: pattern }, { content: pattern }],
+    };
+    total = await Post.countDocuments(searchFilter);
+  }
+
+  const postsQuery = mode === 'text'
+    ? Post.find(searchFilter, { score: { $meta: 'textScore' } }).sort({ score: { $meta: 'textScore' }, publishedAt: -1 })
+    : Post.find(searchFilter).sort({ publishedAt: -1 });
+
+  const posts = await postsQuery
+    .populate('author', 'username')
+    .populate('category', 'name')
+    .skip(skip)
+    .limit(limit);
+
+  const results = posts.map(post => ({
+    ...post.toJSON(),
+    score: mode === 'text' ? post.get('score') : undefined,
+    highlight: {
+      title: highlight(post.title, terms),
+      snippet: buildSnippet(post.contentHtml ? toPlainText(post.contentHtml) : post.content, terms),
+    },
+  }));
+
+  return { posts: results, total, mode };
+};
+
+module.exports = {
+  MIN_TEXT_SEARCH_LENGTH,
+  escapeHtml,
+  getSearchTerms,
+  highlight,
+  buildSnippet,
+  searchPosts,
+};
@@ -0,0 +1,66 @@
+// URL slug generation with basic Unicode transliteration.
+// Accented Latin letters are decomposed and stripped of their marks; letters
+// that don't decompose (and Cyrillic/Greek) are mapped to ASCII here.
+const MAX_SLUG_LENGTH = 80;
+const FALLBACK_SLUG = 'post';
+
+const TRANSLITERATIONS = {
+  // Latin letters without a decomposition
+  ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', đ: 'd', ð: 'd', þ: 'th', ł: 'l', ı: 'i', ħ: 'h',
+  // Cyrillic
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'yo', ж: 'zh', з: 'z', и: 'i',
+  й: 'y', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't',
+  у: 'u', ф: 'f', х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y', ь: '',
+  э: 'e', ю: 'yu', я: 'ya', є: 'ye', і: 'i', ї: 'yi', ґ: 'g',
+  // Greek
+  α: 'a', β: 'v', γ: 'g', δ: 'd', ε: 'e', ζ: 'z', η: 'i', θ: 'th', ι: 'i', κ: 'k',
+  λ: 'l', μ: 'm', ν: 'n', ξ: 'x', ο: 'o', π: 'p', ρ: 'r', σ: 's', ς: 's', τ: 't',
+  υ: 'y', φ: 'f', χ: 'ch', ψ: 'ps', ω: 'o',
+};
+
+const transliterate = (text) => {
+  return text
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Remove combining accents
+    .replace(/[\u0080-\uffff]/g, char => TRANSLITERATIONS[char] ?? char);
+};
+
+// Turn arbitrary text into a lowercase, hyphen-separated ASCII slug
+const slugify = (text) => {
+  const slug = transliterate(String(text || ''))
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s-]/g, '') // Remove special characters
+    .trim()
+    .replace(/[\s-]+/g, '-') // Collapse spaces and hyphens
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/^-+|-+$/g, '');
+
+  return slug || FALLBACK_SLUG;
+};
+
+// Matches a base slug with or without a numeric suffix ("my-title-2").
+// Slugs only contain [a-z0-9-], so the base needs no escaping.
+const buildSuffixPattern = (base) => new RegExp(`^${base}(-\\d+)?$`);
+
+// The base slug if it's free, otherwise the first free "base-N" (N >= 2)
+const pickFreeSlug = (base, usedSlugs) => {
+  const used = new Set(usedSlugs);
+  if (!used.has(base)) {
+    return base;
+  }
+
+  let suffix = 2;
+  while (used.has(`${base}-${suffix}`)) {
+    suffix += 1;
+  }
+  return `${base}-${suffix}`;
+};
+
+module.exports = {
+  MAX_SLUG_LENGTH,
+  slugify,
+  buildSuffixPattern,
+  pickFreeSlug,
+  transliterate,
+};
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads');
+const UPLOAD_BASE_URL = (process.env.UPLOAD_BASE_URL || '/uploads').replace(/\/$/, '');
+
+// Keys are relative paths such as "avatars/<userId>/<file>.webp"; reject
+// anything that could escape the upload directory
+const resolveKey = (key) => {
+  const filePath = path.resolve(UPLOAD_DIR, key);
+  if (!filePath.startsWith(path.resolve(UPLOAD_DIR) + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+// Local disk storage - files are served by the app under UPLOAD_BASE_URL
+const localDiskStorage = {
+  name: 'local',
+  directory: UPLOAD_DIR,
+  save: async (key, buffer) => {
+    const filePath = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+
+    return { key, url: `${UPLOAD_BASE_URL}/${key}` };
+  },
+  remove: async (key) => {
+    try {
+      await fs.promises.unlink(resolveKey(key));
+    } catch (error) {
+      // Already gone is as good as removed
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  },
+};
+
+let activeStorage = localDiskStorage;
+
+// Plug in a different storage backend (e.g. S3 or a CDN SDK wrapper).
+// A storage adapter is any object exposing async save(key, buffer, contentType)
+// resolving to { key, url }, and async remove(key).
+const setStorage = (storage) => {
+  if (!storage || typeof storage.save !== 'function' || typeof storage.remove !== 'function') {
+    throw new Error('Storage adapter must implement save(key, buffer, contentType) and remove(key)');
+  }
+  activeStorage = storage;
+};
+
+const getStorage = () => activeStorage;
+
+module.exports = {
+  getStorage,
+  setStorage,
+  localDiskStorage,
+};
@@ -0,0 +1,47 @@
+// Helpers for the free-form tags stored on posts. Tags are kept trimmed and
+// lowercase (see Post.tags), so every lookup normalises its input the same way.
+
+const MAX_TAG_LENGTH = 30;
+
+const normalizeTag = (tag) => String(tag).trim().toLowerCase();
+
+// Parse a comma-separated query value such as "react, Hooks,,react" into a
+// de-duplicated list of normalised tags
+const parseTagList = (value) => {
+  const tags = String(value || '').split(',').map(normalizeTag).filter(Boolean);
+  return [...new Set(tags)];
+};
+
+// Update pipeline that replaces any of `from` with `to` in a post's tags,
+// keeping the original order and dropping the duplicates a merge can produce.
+// Tag values are wrapped in $literal so a tag starting with "$" isn't read as
+// a field path.
+const buildTagRenamePipeline = (from, to) => [{
+  $set: {
+    tags: {
+      $reduce: {
+        input: {
+          $map: {
+            input: '$tags',
+            in: { $cond: [{ $in: ['$$this', { $literal: from }] }, { $literal: to }, '$$this'] },
+          },
+        },
+        initialValue: [],
+        in: {
+          $cond: [
+            { $in: ['$$this', '$$value'] },
+            '$$value',
+            { $concatArrays: ['$$value', ['$$this']] },
+          ],
+        },
+      },
+    },
+  },
+}];
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  normalizeTag,
+  parseTagList,
+  buildTagRenamePipeline,
+};
@@ -0,0 +1,37 @@
+const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
+const config = require('../config');
+const { logger } = require('./logger');
+
+// When a post trashed at `deletedAt` will be purged
+const getPurgeDate = (deletedAt) => new Date(deletedAt.getTime() + config.trash.retentionDays * 24 * 60 * 60 * 1000);
+
+// Permanently delete trashed posts matching a filter, with their revisions
+const purgeTrashedPosts = async (filter = {}) => {
+  const postIds = await Post.distinct('_id', { deletedAt: { $ne: null }, ...filter });
+
+  if (postIds.length > 0) {
+    await Post.deleteMany({ _id: { $in: postIds } });
+    await PostRevision.deleteMany({ post: { $in: postIds } });
+  }
+
+  return postIds.length;
+};
+
+// Purge posts that have been in the trash longer than the retention period
+const purgeExpiredTrash = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - config.trash.retentionDays * 24 * 60 * 60 * 1000);
+  const purged = await purgeTrashedPosts({ deletedAt: { $lte: cutoff } });
+
+  if (purged > 0) {
+    logger.info('Expired trashed posts purged', { count: purged });
+  }
+
+  return purged;
+};
+
+module.exports = {
+  getPurgeDate,
+  purgeTrashedPosts,
+  purgeExpiredTrash,
+};
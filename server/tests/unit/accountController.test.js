@@ -0,0 +1,226 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Category = require('../../src/models/Category');
+const config = require('../../src/config');
+const { generateToken } = require('../../src/utils/auth');
+const { purgeScheduledDeletions, getDeletedUserPlaceholder } = require('../../src/utils/accountDeletion');
+
+describe('Account Controller', () => {
+  let user;
+  let token;
+  let otherUser;
+  let category;
+  let ownPost;
+  let otherPost;
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Post.deleteMany({});
+    await Category.deleteMany({});
+
+    user = await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'Password123',
+      profile: { firstName: 'Test', bio: 'Just testing' },
+    });
+    token = generateToken(user._id);
+
+    otherUser = await User.create({
+      username: 'otheruser',
+      email: 'other@example.com',
+      password: 'Password123',
+    });
+
+    category = await Category.create({
+      name: 'Technology',
+      description: 'Tech related posts',
+    });
+
+    ownPost = await Post.create({
+      title: 'My Own Post',
+      content: 'Content written by the test user',
+      author: user._id,
+      category: category._id,
+      status: 'published',
+    });
+
+    otherPost = await Post.create({
+      title: 'Someone Elses Post',
+      content: 'Content written by another user',
+      author: otherUser._id,
+      category: category._id,
+      status: 'published',
+      likes: [{ user: user._id }, { user: otherUser._id }],
+      comments: [{ user: user._id, content: 'Great post!' }],
+    });
+  });
+
+  describe('GET /api/auth/export', () => {
+    it('should export profile, posts, comments and likes', async () => {
+      const response = await request(app)
+        .get('/api/auth/export')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.headers['content-disposition']).toMatch(/attachment; filename="mern-blog-export-testuser-/);
+
+      const archive = response.body.data;
+      expect(archive.profile.email).toBe('test@example.com');
+      expect(archive.profile.password).toBeUndefined();
+      expect(archive.posts).toHaveLength(1);
+      expect(archive.posts[0].title).toBe('My Own Post');
+      expect(archive.comments).toEqual([
+        expect.objectContaining({ content: 'Great post!', post: expect.objectContaining({ title: 'Someone Elses Post' }) }),
+      ]);
+      expect(archive.likes).toHaveLength(1);
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .get('/api/auth/export')
+        .expect(401);
+    });
+  });
+
+  describe('DELETE /api/auth/account', () => {
+    it('should schedule deletion and sign the user out', async () => {
+      const response = await request(app)
+        .delete('/api/auth/account')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'Password123', posts: 'delete' })
+        .expect(200);
+
+      expect(new Date(response.body.data.scheduledFor).getTime()).toBeGreaterThan(Date.now());
+
+      const stored = await User.findById(user._id);
+      expect(stored.deletion.posts).toBe('delete');
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+    });
+
+    it('should reject an incorrect password', async () => {
+      const response = await request(app)
+        .delete('/api/auth/account')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'WrongPassword1', posts: 'delete' })
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_CREDENTIALS');
+    });
+
+    it('should cancel the deletion when the user logs in again', async () => {
+      await request(app)
+        .delete('/api/auth/account')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'Password123', posts: 'delete' })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'Password123' })
+        .expect(200);
+
+      expect(response.body.data.accountDeletionCancelled).toBe(true);
+
+      const stored = await User.findById(user._id);
+      expect(stored.deletion.scheduledFor).toBeUndefined();
+    });
+  });
+
+  describe('Scheduled deletion', () => {
+    const scheduleExpired = (posts) => User.updateOne({ _id: user._id }, {
+      deletion: {
+        requestedAt: new Date(Date.now() - 15 * 24 * 60 * 60 * 1000),
+        scheduledFor: new Date(Date.now() - 1000),
+        posts,
+      },
+    });
+
+    it('should erase the user, anonymise their comments and remove their likes', async () => {
+      await scheduleExpired('delete');
+
+      const purged = await purgeScheduledDeletions();
+
+      expect(purged).toBe(1);
+      expect(await User.findById(user._id)).toBeNull();
+      expect(await Post.findById(ownPost._id)).toBeNull();
+
+      const placeholder = await User.findOne({ isSystemPlaceholder: true });
+      expect(placeholder.isActive).toBe(false);
+
+      const stored = await Post.findById(otherPost._id);
+      expect(stored.comments[0].user.toString()).toBe(placeholder._id.toString());
+      expect(stored.comments[0].content).toBe('Great post!');
+      expect(stored.likes).toHaveLength(1);
+      expect(stored.likes.some(like => like.user.toString() === user._id.toString())).toBe(false);
+    });
+
+    it('should reassign posts to the deleted-user placeholder', async () => {
+      await scheduleExpired('reassign');
+
+      await purgeScheduledDeletions();
+
+      const placeholder = await User.findOne({ isSystemPlaceholder: true });
+      const stored = await Post.findById(ownPost._id);
+      expect(stored.author.toString()).toBe(placeholder._id.toString());
+    });
+
+    it('should create a single inactive placeholder account', async () => {
+      const placeholder = await getDeletedUserPlaceholder();
+      const again = await getDeletedUserPlaceholder();
+
+      expect(again._id.toString()).toBe(placeholder._id.toString());
+      expect(placeholder.username).toBe(config.accountDeletion.placeholderUsername);
+      expect(placeholder.isActive).toBe(false);
+      expect(await User.countDocuments({ isSystemPlaceholder: true })).toBe(1);
+    });
+
+    it('should pick another placeholder name when a real account holds the reserved one', async () => {
+      await User.init();
+      const squatter = await User.create({
+        username: config.accountDeletion.placeholderUsername,
+        email: 'squatter@example.com',
+        password: 'Password123',
+      });
+      await scheduleExpired('reassign');
+
+      const purged = await purgeScheduledDeletions();
+
+      expect(purged).toBe(1);
+      const placeholder = await User.findOne({ isSystemPlaceholder: true });
+      expect(placeholder.username).toMatch(new RegExp(`^${config.accountDeletion.placeholderUsername}_[0-9a-f]{6}$`));
+      expect((await Post.findById(ownPost._id)).author.toString()).toBe(placeholder._id.toString());
+      expect((await User.findById(squatter._id)).isSystemPlaceholder).toBeFalsy();
+    });
+
+    it('should keep erasing other accounts when one fails', async () => {
+      await scheduleExpired('delete');
+      await User.updateOne({ _id: otherUser._id }, {
+        deletion: { requestedAt: new Date(), scheduledFor: new Date(Date.now() - 1000), posts: 'delete' },
+      });
+      // Fail the first erase partway through
+      jest.spyOn(Post, 'deleteMany').mockRejectedValueOnce(new Error('Database unavailable'));
+
+      const purged = await purgeScheduledDeletions();
+      jest.restoreAllMocks();
+
+      expect(purged).toBe(1);
+      expect(await User.countDocuments({ _id: { $in: [user._id, otherUser._id] } })).toBe(1);
+    });
+
+    it('should leave accounts still in their grace period', async () => {
+      await User.updateOne({ _id: user._id }, {
+        deletion: { requestedAt: new Date(), scheduledFor: new Date(Date.now() + 60 * 1000), posts: 'delete' },
+      });
+
+      expect(await purgeScheduledDeletions()).toBe(0);
+      expect(await User.findById(user._id)).not.toBeNull();
+    });
+  });
+});
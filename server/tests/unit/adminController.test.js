@@ -0,0 +1,279 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Category = require('../../src/models/Category');
+const Session = require('../../src/models/Session');
+const { generateToken } = require('../../src/utils/auth');
+const { setTransport, consoleTransport } = require('../../src/utils/mailer');
+const { getDeletedUserPlaceholder } = require('../../src/utils/accountDeletion');
+
+describe('Admin Controller', () => {
+  let admin;
+  let adminToken;
+  let user;
+  let userToken;
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Post.deleteMany({});
+    await Category.deleteMany({});
+    await Session.deleteMany({});
+
+    admin = await User.create({
+      username: 'adminuser',
+      email: 'admin@example.com',
+      password: 'Password123',
+      role: 'admin',
+    });
+    adminToken = generateToken(admin._id);
+
+    user = await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'Password123',
+    });
+    userToken = generateToken(user._id);
+  });
+
+  describe('POST /api/admin/users/:id/unlock', () => {
+    beforeEach(async () => {
+      await User.updateOne({ _id: user._id }, {
+        lockUntil: new Date(Date.now() + 60 * 60 * 1000),
+        lockCount: 2,
+        failedLoginAttempts: 3,
+      });
+    });
+
+    it('should unlock a locked account', async () => {
+      const response = await request(app)
+        .post(`/api/admin/users/${user._id}/unlock`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+
+      const stored = await User.findById(user._id);
+      expect(stored.isLocked).toBe(false);
+      expect(stored.lockCount).toBe(0);
+      expect(stored.failedLoginAttempts).toBe(0);
+    });
+
+    it('should not allow non-admin users', async () => {
+      const response = await request(app)
+        .post(`/api/admin/users/${user._id}/unlock`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+
+      expect(response.body.message).toBe('Access denied. Insufficient permissions.');
+    });
+  });
+
+  describe('GET /api/admin/users', () => {
+    it('should list users with pagination', async () => {
+      const response = await request(app)
+        .get('/api/admin/users?page=1&limit=1')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.users).toHaveLength(1);
+      expect(response.body.data.users[0].password).toBeUndefined();
+      expect(response.body.data.pagination.total).toBe(2);
+      expect(response.body.data.pagination.pages).toBe(2);
+    });
+
+    it('should search users by username or email', async () => {
+      const response = await request(app)
+        .get('/api/admin/users?search=test@')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.users).toHaveLength(1);
+      expect(response.body.data.users[0].username).toBe('testuser');
+    });
+
+    it('should filter users by role', async () => {
+      const response = await request(app)
+        .get('/api/admin/users?role=admin')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.users).toHaveLength(1);
+      expect(response.body.data.users[0].username).toBe('adminuser');
+    });
+
+    it('should not allow non-admin users', async () => {
+      await request(app)
+        .get('/api/admin/users')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('GET /api/admin/users/:id', () => {
+    it('should return the user with stats', async () => {
+      const response = await request(app)
+        .get(`/api/admin/users/${user._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.user.username).toBe('testuser');
+      expect(response.body.data.stats.postCount).toBe(0);
+    });
+
+    it('should return 404 for unknown users', async () => {
+      await request(app)
+        .get('/api/admin/users/507f1f77bcf86cd799439011')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('PUT /api/admin/users/:id/role', () => {
+    it('should change a user role', async () => {
+      const response = await request(app)
+        .put(`/api/admin/users/${user._id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'admin' })
+        .expect(200);
+
+      expect(response.body.data.user.role).toBe('admin');
+    });
+
+    it('should reject invalid roles', async () => {
+      await request(app)
+        .put(`/api/admin/users/${user._id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'superuser' })
+        .expect(400);
+    });
+
+    it('should not allow admins to change their own role', async () => {
+      await request(app)
+        .put(`/api/admin/users/${admin._id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'user' })
+        .expect(400);
+    });
+  });
+
+  describe('PUT /api/admin/users/:id/status', () => {
+    it('should deactivate a user and sign them out', async () => {
+      await request(app)
+        .put(`/api/admin/users/${user._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ isActive: false })
+        .expect(200);
+
+      const stored = await User.findById(user._id);
+      expect(stored.isActive).toBe(false);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(401);
+    });
+  });
+
+  describe('POST /api/admin/users/:id/force-password-reset', () => {
+    afterEach(() => {
+      setTransport(consoleTransport);
+    });
+
+    it('should require a password reset and email the user', async () => {
+      const sent = [];
+      setTransport({ send: async (message) => { sent.push(message); return { delivered: true }; } });
+
+      await request(app)
+        .post(`/api/admin/users/${user._id}/force-password-reset`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(sent).toHaveLength(1);
+      expect(sent[0].to).toBe('test@example.com');
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'Password123' })
+        .expect(403);
+
+      expect(response.body.code).toBe('PASSWORD_RESET_REQUIRED');
+    });
+  });
+
+  describe('DELETE /api/admin/users/:id', () => {
+    let category;
+
+    beforeEach(async () => {
+      category = await Category.create({ name: 'Technology' });
+      await Post.create({
+        title: 'User Post',
+        content: 'Content written by the user',
+        author: user._id,
+        category: category._id,
+        status: 'published',
+      });
+    });
+
+    it('should reassign posts to the admin by default', async () => {
+      const response = await request(app)
+        .delete(`/api/admin/users/${user._id}?posts=reassign`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.postsAffected).toBe(1);
+      expect(await User.findById(user._id)).toBeNull();
+      expect(await Post.countDocuments({ author: admin._id })).toBe(1);
+    });
+
+    it('should delete posts when requested', async () => {
+      await request(app)
+        .delete(`/api/admin/users/${user._id}?posts=delete`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(await Post.countDocuments({})).toBe(0);
+    });
+
+    it('should require a posts strategy', async () => {
+      await request(app)
+        .delete(`/api/admin/users/${user._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+    });
+
+    it('should not allow admins to delete themselves', async () => {
+      await request(app)
+        .delete(`/api/admin/users/${admin._id}?posts=delete`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+    });
+  });
+
+  describe('deleted-user placeholder', () => {
+    let placeholder;
+
+    beforeEach(async () => {
+      placeholder = await getDeletedUserPlaceholder();
+    });
+
+    it('should not allow changing or deleting the placeholder account', async () => {
+      const attempts = [
+        request(app).put(`/api/admin/users/${placeholder._id}/role`).send({ role: 'admin' }),
+        request(app).put(`/api/admin/users/${placeholder._id}/status`).send({ isActive: true }),
+        request(app).post(`/api/admin/users/${placeholder._id}/force-password-reset`),
+        request(app).post(`/api/admin/users/${placeholder._id}/unlock`),
+        request(app).delete(`/api/admin/users/${placeholder._id}?posts=delete`),
+      ];
+
+      for (const attempt of attempts) {
+        const response = await attempt.set('Authorization', `Bearer ${adminToken}`).expect(403);
+        expect(response.body.message).toBe('The deleted-user placeholder account cannot be changed');
+      }
+
+      const stored = await User.findById(placeholder._id);
+      expect(stored.role).toBe('user');
+      expect(stored.isActive).toBe(false);
+    });
+  });
+});
@@ -2,6 +2,11 @@ const request = require('supertest');
 const mongoose = require('mongoose');
 const app = require('../../src/app');
 const User = require('../../src/models/User');
+const RefreshToken = require('../../src/models/RefreshToken');
+const { setTransport, consoleTransport } = require('../../src/utils/mailer');
+const { hashToken, generateToken } = require('../../src/utils/auth');
+const { setStorage, localDiskStorage } = require('../../src/utils/storage');
+const sharp = require('sharp');
 
 describe('Auth Controller', () => {
   beforeEach(async () => {
@@ -30,6 +35,15 @@ describe('Auth Controller', () => {
       expect(response.body.data.user).not.toHaveProperty('password');
     });
 
+    it('should not register the reserved placeholder username', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'Deleted_User', email: 'test@example.com', password: 'Password123' })
+        .expect(400);
+
+      expect(response.body.errors[0].message).toBe('This username is reserved');
+    });
+
     it('should not register user with existing email', async () => {
       // Create existing user
       await User.create({
@@ -206,4 +220,564 @@ describe('Auth Controller', () => {
       expect(response.body.message).toBe('Token is not valid.');
     });
   });
+
+  describe('Password reset', () => {
+    let user;
+    let sentMail;
+
+    beforeEach(async () => {
+      sentMail = [];
+      setTransport({ send: async (message) => { sentMail.push(message); } });
+
+      user = await User.create({
+        username: 'testuser',
+        email: 'test@example.com',
+        password: 'Password123',
+      });
+    });
+
+    afterEach(() => {
+      setTransport(consoleTransport);
+    });
+
+    const requestReset = async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test@example.com' })
+        .expect(200);
+
+      return sentMail[0].text.match(/reset-password\/([a-f0-9]{64})/)[1];
+    };
+
+    it('should email a reset link and store only the hashed token', async () => {
+      const resetToken = await requestReset();
+
+      expect(sentMail).toHaveLength(1);
+      expect(sentMail[0].to).toBe('test@example.com');
+
+      const stored = await User.findById(user._id);
+      expect(stored.passwordResetToken).toBe(hashToken(resetToken));
+      expect(stored.passwordResetExpires.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should not keep a reset token when the mail is not delivered', async () => {
+      setTransport({ name: 'console', send: async () => ({ delivered: false, transport: 'console' }) });
+
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test@example.com' })
+        .expect(500);
+
+      const stored = await User.findById(user._id);
+      expect(stored.passwordResetToken).toBeUndefined();
+      expect(stored.passwordResetExpires).toBeUndefined();
+    });
+
+    it('should respond the same for unknown emails without sending mail', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(sentMail).toHaveLength(0);
+    });
+
+    it('should reset the password with a valid token only once', async () => {
+      const resetToken = await requestReset();
+
+      const response = await request(app)
+        .post(`/api/auth/reset-password/${resetToken}`)
+        .send({ password: 'NewPassword456' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toHaveProperty('token');
+
+      const stored = await User.findById(user._id);
+      expect(await stored.comparePassword('NewPassword456')).toBe(true);
+      expect(stored.passwordResetToken).toBeUndefined();
+
+      const reuse = await request(app)
+        .post(`/api/auth/reset-password/${resetToken}`)
+        .send({ password: 'AnotherPassword789' })
+        .expect(400);
+
+      expect(reuse.body.message).toBe('Password reset token is invalid or has expired');
+    });
+
+    it('should cancel a pending account deletion when signing in through the reset link', async () => {
+      await User.updateOne({ _id: user._id }, {
+        deletion: { requestedAt: new Date(), scheduledFor: new Date(Date.now() + 60 * 1000), posts: 'delete' },
+      });
+      const resetToken = await requestReset();
+
+      const response = await request(app)
+        .post(`/api/auth/reset-password/${resetToken}`)
+        .send({ password: 'NewPassword456' })
+        .expect(200);
+
+      expect(response.body.data.accountDeletionCancelled).toBe(true);
+
+      const stored = await User.findById(user._id);
+      expect(stored.deletion.scheduledFor).toBeUndefined();
+    });
+
+    it('should lift an account lockout so the new password works straight away', async () => {
+      await User.updateOne({ _id: user._id }, {
+        failedLoginAttempts: 5,
+        lockCount: 1,
+        lockUntil: new Date(Date.now() + 60 * 60 * 1000),
+      });
+      const resetToken = await requestReset();
+
+      await request(app)
+        .post(`/api/auth/reset-password/${resetToken}`)
+        .send({ password: 'NewPassword456' })
+        .expect(200);
+
+      const stored = await User.findById(user._id);
+      expect(stored.lockUntil).toBeUndefined();
+      expect(stored.failedLoginAttempts).toBe(0);
+      expect(stored.lockCount).toBe(0);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'NewPassword456' })
+        .expect(200);
+    });
+
+    it('should reject an expired token', async () => {
+      const resetToken = await requestReset();
+      await User.updateOne({ _id: user._id }, { passwordResetExpires: new Date(Date.now() - 1000) });
+
+      const response = await request(app)
+        .post(`/api/auth/reset-password/${resetToken}`)
+        .send({ password: 'NewPassword456' })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('Email verification', () => {
+    let sentMail;
+
+    beforeEach(() => {
+      sentMail = [];
+      setTransport({ send: async (message) => { sentMail.push(message); } });
+    });
+
+    afterEach(() => {
+      setTransport(consoleTransport);
+    });
+
+    const registerUser = () => request(app)
+      .post('/api/auth/register')
+      .send({
+        username: 'testuser',
+        email: 'test@example.com',
+        password: 'Password123',
+      })
+      .expect(201);
+
+    const extractToken = (mail) => mail.text.match(/verify-email\/([a-f0-9]{64})/)[1];
+
+    it('should register users as unverified and send a verification email', async () => {
+      const response = await registerUser();
+
+      expect(response.body.data.user.emailVerified).toBe(false);
+      expect(sentMail).toHaveLength(1);
+      expect(sentMail[0].to).toBe('test@example.com');
+    });
+
+    it('should verify the email with a valid token', async () => {
+      await registerUser();
+      const verificationToken = extractToken(sentMail[0]);
+
+      const response = await request(app)
+        .get(`/api/auth/verify-email/${verificationToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+
+      const user = await User.findOne({ email: 'test@example.com' });
+      expect(user.emailVerified).toBe(true);
+      expect(user.emailVerificationToken).toBeUndefined();
+    });
+
+    it('should reject an unknown verification token', async () => {
+      const response = await request(app)
+        .get(`/api/auth/verify-email/${'a'.repeat(64)}`)
+        .expect(400);
+
+      expect(response.body.message).toBe('Verification token is invalid or has expired');
+    });
+
+    it('should resend the verification email to unverified users', async () => {
+      const { body } = await registerUser();
+
+      await request(app)
+        .post('/api/auth/resend-verification')
+        .set('Authorization', `Bearer ${body.data.token}`)
+        .expect(200);
+
+      expect(sentMail).toHaveLength(2);
+      expect(extractToken(sentMail[1])).not.toBe(extractToken(sentMail[0]));
+    });
+
+    it('should not resend when the email is already verified', async () => {
+      const { body } = await registerUser();
+      await User.updateOne({ email: 'test@example.com' }, { emailVerified: true });
+
+      const response = await request(app)
+        .post('/api/auth/resend-verification')
+        .set('Authorization', `Bearer ${body.data.token}`)
+        .expect(400);
+
+      expect(response.body.message).toBe('Email is already verified');
+    });
+  });
+
+  describe('POST /api/auth/refresh', () => {
+    let refreshToken;
+
+    beforeEach(async () => {
+      await RefreshToken.deleteMany({});
+      await User.create({
+        username: 'testuser',
+        email: 'test@example.com',
+        password: 'Password123',
+      });
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'Password123' })
+        .expect(200);
+
+      refreshToken = response.body.data.refreshToken;
+    });
+
+    it('should issue a refresh token on login', () => {
+      expect(refreshToken).toEqual(expect.any(String));
+    });
+
+    it('should rotate the refresh token on every use', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      expect(response.body.data).toHaveProperty('token');
+      expect(response.body.data.refreshToken).not.toBe(refreshToken);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: response.body.data.refreshToken })
+        .expect(200);
+    });
+
+    it('should revoke the whole token family when a rotated token is reused', async () => {
+      const first = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      const reuse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+
+      expect(reuse.body.message).toBe('Refresh token has already been used. Please log in again.');
+
+      // The token issued by the legitimate rotation is now revoked as well
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: first.body.data.refreshToken })
+        .expect(401);
+    });
+
+    it('should reject an unknown refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'not-a-real-token' })
+        .expect(401);
+
+      expect(response.body.message).toBe('Refresh token is invalid or has expired');
+    });
+  });
+
+  describe('Logout', () => {
+    const loginUser = async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'Password123' })
+        .expect(200);
+
+      return response.body.data;
+    };
+
+    beforeEach(async () => {
+      await RefreshToken.deleteMany({});
+      await User.create({
+        username: 'testuser',
+        email: 'test@example.com',
+        password: 'Password123',
+      });
+    });
+
+    it('should revoke the current access and refresh token on logout', async () => {
+      const { token, refreshToken } = await loginUser();
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ refreshToken })
+        .expect(200);
+
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+
+      expect(me.body.message).toBe('Token has been revoked.');
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+    });
+
+    it('should leave other sessions active on single logout', async () => {
+      const first = await loginUser();
+      const second = await loginUser();
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${first.token}`)
+        .send({ refreshToken: first.refreshToken })
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${second.token}`)
+        .expect(200);
+    });
+
+    it('should revoke every session on logout-all', async () => {
+      const first = await loginUser();
+      const second = await loginUser();
+
+      await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${first.token}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${second.token}`)
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: second.refreshToken })
+        .expect(401);
+    });
+  });
+
+  describe('Account lockout', () => {
+    let user;
+
+    const failLogin = () => request(app)
+      .post('/api/auth/login')
+      .send({ email: 'test@example.com', password: 'WrongPassword' });
+
+    beforeEach(async () => {
+      user = await User.create({
+        username: 'testuser',
+        email: 'test@example.com',
+        password: 'Password123',
+      });
+    });
+
+    it('should lock the account after too many failed logins', async () => {
+      for (let i = 0; i < 4; i += 1) {
+        const response = await failLogin().expect(401);
+        expect(response.body.code).toBe('INVALID_CREDENTIALS');
+      }
+
+      const locked = await failLogin().expect(423);
+      expect(locked.body.code).toBe('ACCOUNT_LOCKED');
+      expect(locked.body).toHaveProperty('lockUntil');
+
+      // The correct password is rejected while locked
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'Password123' })
+        .expect(423);
+
+      expect(response.body.code).toBe('ACCOUNT_LOCKED');
+    });
+
+    it('should count parallel failed logins without losing any', async () => {
+      const responses = await Promise.all(Array.from({ length: 5 }, () => failLogin()));
+
+      expect(responses.map(response => response.status)).toContain(423);
+      const stored = await User.findById(user._id);
+      expect(stored.isLocked).toBe(true);
+      expect(stored.lockCount).toBe(1);
+    });
+
+    it('should lock out progressively longer on repeated lockouts', async () => {
+      await User.updateOne({ _id: user._id }, { lockCount: 2, failedLoginAttempts: 4 });
+
+      await failLogin().expect(423);
+
+      const stored = await User.findById(user._id);
+      const lockMinutes = (stored.lockUntil.getTime() - Date.now()) / 60000;
+      expect(lockMinutes).toBeGreaterThan(59);
+      expect(stored.lockCount).toBe(3);
+    });
+
+    it('should reset failed attempts after a successful login', async () => {
+      await failLogin().expect(401);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'Password123' })
+        .expect(200);
+
+      const stored = await User.findById(user._id);
+      expect(stored.failedLoginAttempts).toBe(0);
+    });
+
+    it('should count failed change-password attempts towards the lockout', async () => {
+      const token = generateToken(user._id);
+      await User.updateOne({ _id: user._id }, { failedLoginAttempts: 4 });
+
+      const response = await request(app)
+        .put('/api/auth/change-password')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ currentPassword: 'WrongPassword', newPassword: 'NewPassword456' })
+        .expect(423);
+
+      expect(response.body.code).toBe('ACCOUNT_LOCKED');
+    });
+  });
+
+  describe('Avatar upload', () => {
+    let user;
+    let token;
+    let stored;
+
+    const createImage = () => sharp({
+      create: { width: 400, height: 300, channels: 3, background: '#3366cc' },
+    }).png().toBuffer();
+
+    beforeEach(async () => {
+      // Keep files in memory instead of writing to the uploads directory
+      stored = new Map();
+      setStorage({
+        save: async (key, buffer) => {
+          stored.set(key, buffer);
+          return { key, url: `/uploads/${key}` };
+        },
+        remove: async (key) => {
+          stored.delete(key);
+        },
+      });
+
+      user = await User.create({
+        username: 'testuser',
+        email: 'test@example.com',
+        password: 'Password123',
+      });
+      token = generateToken(user._id);
+    });
+
+    afterEach(() => {
+      setStorage(localDiskStorage);
+    });
+
+    it('should store resized avatar variants', async () => {
+      const response = await request(app)
+        .post('/api/auth/profile/avatar')
+        .set('Authorization', `Bearer ${token}`)
+        .attach('avatar', await createImage(), { filename: 'avatar.png', contentType: 'image/png' })
+        .expect(200);
+
+      const { profile } = response.body.data.user;
+      expect(Object.keys(profile.avatarVariants)).toEqual(['small', 'medium', 'large']);
+      expect(profile.avatar).toBe(profile.avatarVariants.large);
+      expect(response.body.data.user.avatarKeys).toBeUndefined();
+      expect(stored.size).toBe(3);
+
+      const small = [...stored.entries()].find(([key]) => key.endsWith('-small.webp'))[1];
+      const metadata = await sharp(small).metadata();
+      expect(metadata.width).toBe(64);
+      expect(metadata.height).toBe(64);
+    });
+
+    it('should remove the previous avatar files when replaced', async () => {
+      await request(app)
+        .post('/api/auth/profile/avatar')
+        .set('Authorization', `Bearer ${token}`)
+        .attach('avatar', await createImage(), { filename: 'first.png', contentType: 'image/png' })
+        .expect(200);
+      const firstKeys = [...stored.keys()];
+
+      await request(app)
+        .post('/api/auth/profile/avatar')
+        .set('Authorization', `Bearer ${token}`)
+        .attach('avatar', await createImage(), { filename: 'second.png', contentType: 'image/png' })
+        .expect(200);
+
+      expect(stored.size).toBe(3);
+      firstKeys.forEach(key => expect(stored.has(key)).toBe(false));
+    });
+
+    it('should reject unsupported file types', async () => {
+      const response = await request(app)
+        .post('/api/auth/profile/avatar')
+        .set('Authorization', `Bearer ${token}`)
+        .attach('avatar', Buffer.from('plain text'), { filename: 'avatar.txt', contentType: 'text/plain' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Avatar must be a JPEG, PNG, WebP or GIF image');
+      expect(stored.size).toBe(0);
+    });
+
+    it('should reject files that are not really images', async () => {
+      const response = await request(app)
+        .post('/api/auth/profile/avatar')
+        .set('Authorization', `Bearer ${token}`)
+        .attach('avatar', Buffer.from('not an image'), { filename: 'avatar.png', contentType: 'image/png' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Uploaded file is not a valid image');
+    });
+
+    it('should require a file', async () => {
+      await request(app)
+        .post('/api/auth/profile/avatar')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(400);
+    });
+
+    it('should remove the avatar', async () => {
+      await request(app)
+        .post('/api/auth/profile/avatar')
+        .set('Authorization', `Bearer ${token}`)
+        .attach('avatar', await createImage(), { filename: 'avatar.png', contentType: 'image/png' })
+        .expect(200);
+
+      const response = await request(app)
+        .delete('/api/auth/profile/avatar')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.user.profile.avatar).toBeUndefined();
+      expect(stored.size).toBe(0);
+    });
+  });
 });
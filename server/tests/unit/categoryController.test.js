@@ -0,0 +1,430 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Category = require('../../src/models/Category');
+
+const signToken = (userId) => jwt.sign({ userId }, process.env.JWT_SECRET || 'your-secret-key-change-in-production');
+
+describe('Category Controller', () => {
+  let admin;
+  let user;
+  let adminToken;
+  let userToken;
+  let technology;
+  let javascript;
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Post.deleteMany({});
+    await Category.deleteMany({});
+
+    admin = await User.create({
+      username: 'adminuser',
+      email: 'admin@example.com',
+      password: 'Password123',
+      role: 'admin',
+    });
+    user = await User.create({
+      username: 'regularuser',
+      email: 'user@example.com',
+      password: 'Password123',
+    });
+    adminToken = signToken(admin._id);
+    userToken = signToken(user._id);
+
+    technology = await Category.create({ name: 'Technology', order: 1 });
+    javascript = await Category.create({ name: 'JavaScript', parent: technology._id });
+    await Category.create({ name: 'Archive', isActive: false, order: 0 });
+  });
+
+  describe('GET /api/categories', () => {
+    it('should list active categories', async () => {
+      const response = await request(app)
+        .get('/api/categories')
+        .expect(200);
+
+      expect(response.body.data.categories.map(category => category.name)).toEqual(['JavaScript', 'Technology']);
+    });
+
+    it('should nest categories as a tree', async () => {
+      const response = await request(app)
+        .get('/api/categories?tree=true')
+        .expect(200);
+
+      const [root] = response.body.data.categories;
+      expect(response.body.data.categories).toHaveLength(1);
+      expect(root.name).toBe('Technology');
+      expect(root.children.map(child => child.name)).toEqual(['JavaScript']);
+    });
+
+    it('should only include inactive categories for admins', async () => {
+      const anonymous = await request(app)
+        .get('/api/categories?includeInactive=true')
+        .expect(200);
+      expect(anonymous.body.data.categories).toHaveLength(2);
+
+      const asAdmin = await request(app)
+        .get('/api/categories?includeInactive=true')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(asAdmin.body.data.categories).toHaveLength(3);
+    });
+  });
+
+  describe('GET /api/categories/tree', () => {
+    it('should return the nested category tree', async () => {
+      await Category.create({ name: 'React', parent: javascript._id });
+
+      const response = await request(app)
+        .get('/api/categories/tree')
+        .expect(200);
+
+      const [root] = response.body.data.tree;
+      expect(response.body.data.tree).toHaveLength(1);
+      expect(root.name).toBe('Technology');
+      expect(root.children[0].name).toBe('JavaScript');
+      expect(root.children[0].children.map(child => child.name)).toEqual(['React']);
+    });
+  });
+
+  describe('GET /api/categories/:slug', () => {
+    it('should get a category with its parent and subcategories', async () => {
+      const response = await request(app)
+        .get('/api/categories/technology')
+        .expect(200);
+
+      expect(response.body.data.category.name).toBe('Technology');
+      expect(response.body.data.subcategories.map(category => category.name)).toEqual(['JavaScript']);
+    });
+
+    it('should include breadcrumbs from the root category', async () => {
+      await Category.create({ name: 'React', parent: javascript._id });
+
+      const response = await request(app)
+        .get('/api/categories/react')
+        .expect(200);
+
+      expect(response.body.data.breadcrumbs.map(crumb => crumb.slug)).toEqual(['technology', 'javascript', 'react']);
+    });
+
+    it('should hide inactive categories from the public', async () => {
+      await request(app)
+        .get('/api/categories/archive')
+        .expect(404);
+    });
+  });
+
+  describe('POST /api/categories', () => {
+    it('should let admins create categories', async () => {
+      const response = await request(app)
+        .post('/api/categories')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Node & Express', color: '#ff0000', parent: technology._id.toString() })
+        .expect(201);
+
+      expect(response.body.data.category.slug).toBe('node-and-express');
+      expect(response.body.data.category.parent).toBe(technology._id.toString());
+    });
+
+    it('should not let regular users create categories', async () => {
+      await request(app)
+        .post('/api/categories')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ name: 'Lifestyle' })
+        .expect(403);
+    });
+
+    it('should reject duplicate names regardless of case', async () => {
+      const response = await request(app)
+        .post('/api/categories')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'technology' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Category already exists');
+    });
+
+    it('should validate the parent', async () => {
+      const response = await request(app)
+        .post('/api/categories')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Orphan', parent: user._id.toString() })
+        .expect(400);
+
+      expect(response.body.message).toBe('Parent category not found');
+    });
+  });
+
+  describe('PUT /api/categories/:id', () => {
+    it('should update a category and regenerate its slug', async () => {
+      const response = await request(app)
+        .put(`/api/categories/${javascript._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'JS', parent: null })
+        .expect(200);
+
+      expect(response.body.data.category.slug).toBe('js');
+      expect(response.body.data.category.parent).toBeNull();
+    });
+
+    it('should not make a category its own parent', async () => {
+      const response = await request(app)
+        .put(`/api/categories/${technology._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ parent: technology._id.toString() })
+        .expect(400);
+
+      expect(response.body.message).toBe('A category cannot be its own parent');
+    });
+
+    it('should not move a category under one of its subcategories', async () => {
+      const react = await Category.create({ name: 'React', parent: javascript._id });
+
+      const response = await request(app)
+        .put(`/api/categories/${technology._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ parent: react._id.toString() })
+        .expect(400);
+
+      expect(response.body.message).toBe('A category cannot be moved under one of its own subcategories');
+      expect((await Category.findById(technology._id)).parent).toBeNull();
+    });
+  });
+
+  describe('PUT /api/categories/reorder', () => {
+    it('should order categories by their position in the list', async () => {
+      const response = await request(app)
+        .put('/api/categories/reorder')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ids: [javascript._id.toString(), technology._id.toString()] })
+        .expect(200);
+
+      expect(response.body.data.categories.map(category => [category.name, category.order])).toEqual([
+        ['JavaScript', 0],
+        ['Technology', 1],
+      ]);
+    });
+
+    it('should reject unknown categories', async () => {
+      await request(app)
+        .put('/api/categories/reorder')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ids: [user._id.toString()] })
+        .expect(400);
+    });
+  });
+
+  describe('PUT /api/categories/:id/status', () => {
+    it('should deactivate a category', async () => {
+      const response = await request(app)
+        .put(`/api/categories/${javascript._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ isActive: false })
+        .expect(200);
+
+      expect(response.body.message).toBe('Category deactivated successfully');
+      expect((await Category.findById(javascript._id)).isActive).toBe(false);
+    });
+  });
+
+  describe('DELETE /api/categories/:id', () => {
+    beforeEach(async () => {
+      await Post.create({
+        title: 'Closures Explained',
+        content: 'This is a longer content that meets the minimum length requirement',
+        author: user._id,
+        category: technology._id,
+      });
+    });
+
+    it('should require reassignTo when the category has posts', async () => {
+      const response = await request(app)
+        .delete(`/api/categories/${technology._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+
+      expect(response.body.message).toBe('Category has posts. Provide reassignTo to move them to another category');
+      expect(await Category.findById(technology._id)).not.toBeNull();
+    });
+
+    it('should move posts and subcategories when deleting', async () => {
+      const general = await Category.create({ name: 'General' });
+
+      const response = await request(app)
+        .delete(`/api/categories/${technology._id}?reassignTo=${general._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.reassignedPosts).toBe(1);
+      expect(await Category.findById(technology._id)).toBeNull();
+      expect(await Post.countDocuments({ category: general._id })).toBe(1);
+      expect((await Category.findById(general._id)).postCount).toBe(1);
+      expect((await Category.findById(javascript._id)).parent).toBeNull();
+    });
+
+    it('should delete empty categories without reassignTo', async () => {
+      await request(app)
+        .delete(`/api/categories/${javascript._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(await Category.findById(javascript._id)).toBeNull();
+    });
+  });
+
+  describe('POST /api/categories/:id/merge', () => {
+    let webDev;
+
+    beforeEach(async () => {
+      webDev = await Category.create({ name: 'Web Development' });
+      await Category.create({ name: 'Frontend', parent: webDev._id });
+      await Post.create([
+        {
+          title: 'Flexbox Basics',
+          content: 'This is a longer content that meets the minimum length requirement',
+          author: user._id,
+          category: webDev._id,
+        },
+        {
+          title: 'Grid Layouts',
+          content: 'This is a longer content that meets the minimum length requirement',
+          author: user._id,
+          category: technology._id,
+        },
+      ]);
+    });
+
+    it('should move posts and subcategories into the target', async () => {
+      const response = await request(app)
+        .post(`/api/categories/${webDev._id}/merge`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ into: technology._id.toString() })
+        .expect(200);
+
+      expect(response.body.data.movedPosts).toBe(1);
+      expect(response.body.data.movedSubcategories).toBe(1);
+      expect(response.body.data.category.postCount).toBe(2);
+      expect(await Category.findById(webDev._id)).toBeNull();
+      expect((await Category.findOne({ name: 'Frontend' })).parent.toString()).toBe(technology._id.toString());
+    });
+
+    it('should redirect the old slug to the target', async () => {
+      await request(app)
+        .post(`/api/categories/${webDev._id}/merge`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ into: technology._id.toString() })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/categories/web-development')
+        .expect(200);
+
+      expect(response.body.data.category.name).toBe('Technology');
+      expect(response.body.data.redirect).toEqual({ from: 'web-development', to: 'technology' });
+    });
+
+    it('should not reuse the slug of a merged category', async () => {
+      await request(app)
+        .post(`/api/categories/${webDev._id}/merge`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ into: technology._id.toString() })
+        .expect(200);
+
+      const created = await Category.create({ name: 'Web Development' });
+      expect(created.slug).toBe('web-development-2');
+
+      const response = await request(app)
+        .get('/api/categories/web-development')
+        .expect(200);
+      expect(response.body.data.category.name).toBe('Technology');
+    });
+
+    it('should not merge a category into one of its subcategories', async () => {
+      const response = await request(app)
+        .post(`/api/categories/${technology._id}/merge`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ into: javascript._id.toString() })
+        .expect(400);
+
+      expect(response.body.message).toBe('A category cannot be merged into one of its own subcategories');
+    });
+
+    it('should not let regular users merge categories', async () => {
+      await request(app)
+        .post(`/api/categories/${webDev._id}/merge`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ into: technology._id.toString() })
+        .expect(403);
+    });
+  });
+
+  describe('POST /api/categories/:id/split', () => {
+    let posts;
+
+    beforeEach(async () => {
+      posts = await Post.create([
+        {
+          title: 'Intro to Hooks',
+          content: 'This is a longer content that meets the minimum length requirement',
+          author: user._id,
+          category: javascript._id,
+          tags: ['react'],
+        },
+        {
+          title: 'Async Iterators',
+          content: 'This is a longer content that meets the minimum length requirement',
+          author: user._id,
+          category: javascript._id,
+          tags: ['node'],
+        },
+      ]);
+      await javascript.updatePostCount();
+    });
+
+    it('should move posts matching the tags into a new category', async () => {
+      const response = await request(app)
+        .post(`/api/categories/${javascript._id}/split`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'React', parent: javascript._id.toString(), tags: ['React'] })
+        .expect(201);
+
+      const { category, movedPosts } = response.body.data;
+      expect(movedPosts).toBe(1);
+      expect(category.postCount).toBe(1);
+      expect(category.parent).toBe(javascript._id.toString());
+      expect((await Post.findById(posts[0]._id)).category.toString()).toBe(category._id);
+      expect((await Category.findById(javascript._id)).postCount).toBe(1);
+    });
+
+    it('should place the new category alongside the source by default', async () => {
+      const response = await request(app)
+        .post(`/api/categories/${javascript._id}/split`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Node.js', postIds: [posts[1]._id.toString()] })
+        .expect(201);
+
+      expect(response.body.data.category.parent).toBe(technology._id.toString());
+    });
+
+    it('should require a filter', async () => {
+      await request(app)
+        .post(`/api/categories/${javascript._id}/split`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'React' })
+        .expect(400);
+    });
+
+    it('should not create a category when no posts match', async () => {
+      const response = await request(app)
+        .post(`/api/categories/${javascript._id}/split`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Rust', tags: ['rust'] })
+        .expect(400);
+
+      expect(response.body.message).toBe('No posts in this category match the filter');
+      expect(await Category.findOne({ name: 'Rust' })).toBeNull();
+    });
+  });
+});
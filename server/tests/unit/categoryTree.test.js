@@ -0,0 +1,56 @@
+const { buildTree, getAncestorIds, wouldCreateCycle } = require('../../src/utils/categoryTree');
+
+// technology > javascript > react, plus a separate design root
+const categories = [
+  { _id: 'technology', name: 'Technology', parent: null },
+  { _id: 'javascript', name: 'JavaScript', parent: 'technology' },
+  { _id: 'react', name: 'React', parent: 'javascript' },
+  { _id: 'design', name: 'Design', parent: null },
+];
+
+describe('Category tree utils', () => {
+  describe('buildTree', () => {
+    it('should nest categories under their parents', () => {
+      const tree = buildTree(categories);
+
+      expect(tree.map(node => node.name)).toEqual(['Technology', 'Design']);
+      expect(tree[0].children[0].name).toBe('JavaScript');
+      expect(tree[0].children[0].children[0].name).toBe('React');
+      expect(tree[1].children).toEqual([]);
+    });
+
+    it('should treat categories with a missing parent as roots', () => {
+      const tree = buildTree(categories.filter(category => category._id !== 'javascript'));
+
+      expect(tree.map(node => node.name)).toEqual(['Technology', 'React', 'Design']);
+    });
+  });
+
+  describe('getAncestorIds', () => {
+    it('should list ancestors nearest first', () => {
+      expect(getAncestorIds(categories, 'react')).toEqual(['javascript', 'technology']);
+      expect(getAncestorIds(categories, 'technology')).toEqual([]);
+    });
+
+    it('should stop at a parent loop', () => {
+      const looped = [
+        { _id: 'a', parent: 'b' },
+        { _id: 'b', parent: 'a' },
+      ];
+
+      expect(getAncestorIds(looped, 'a')).toEqual(['b']);
+    });
+  });
+
+  describe('wouldCreateCycle', () => {
+    it('should detect moving a category under itself or a descendant', () => {
+      expect(wouldCreateCycle(categories, 'technology', 'technology')).toBe(true);
+      expect(wouldCreateCycle(categories, 'technology', 'react')).toBe(true);
+    });
+
+    it('should allow moving a category elsewhere', () => {
+      expect(wouldCreateCycle(categories, 'react', 'design')).toBe(false);
+      expect(wouldCreateCycle(categories, 'javascript', null)).toBe(false);
+    });
+  });
+});
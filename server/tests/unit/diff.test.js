@@ -0,0 +1,54 @@
+const { diffText, diffWithStats, MAX_EDIT_DISTANCE } = require('../../src/utils/diff');
+
+describe('Diff utilities', () => {
+  it('should diff text line by line', () => {
+    expect(diffText('one\ntwo\nthree', 'one\n2\nthree\nfour')).toEqual([
+      { type: 'equal', value: 'one' },
+      { type: 'delete', value: 'two' },
+      { type: 'insert', value: '2' },
+      { type: 'equal', value: 'three' },
+      { type: 'insert', value: 'four' },
+    ]);
+  });
+
+  it('should diff text word by word keeping whitespace', () => {
+    expect(diffText('the quick brown fox', 'the slow brown fox', { mode: 'word' })).toEqual([
+      { type: 'equal', value: 'the ' },
+      { type: 'delete', value: 'quick' },
+      { type: 'insert', value: 'slow' },
+      { type: 'equal', value: ' brown fox' },
+    ]);
+  });
+
+  it('should handle empty text', () => {
+    expect(diffText('', '')).toEqual([]);
+    expect(diffText('', 'added')).toEqual([{ type: 'insert', value: 'added' }]);
+    expect(diffText('removed', '')).toEqual([{ type: 'delete', value: 'removed' }]);
+  });
+
+  it('should reconstruct both texts from the operations', () => {
+    const oldText = 'a\nb\nc\nd\ne\nf';
+    const newText = 'a\nc\nd\nx\nf\ng';
+    const ops = diffText(oldText, newText);
+
+    const before = ops.filter(op => op.type !== 'insert').map(op => op.value).join('\n');
+    const after = ops.filter(op => op.type !== 'delete').map(op => op.value).join('\n');
+
+    expect(before).toBe(oldText);
+    expect(after).toBe(newText);
+  });
+
+  it('should count inserted and deleted tokens', () => {
+    expect(diffWithStats('a\nb\nc', 'a\nc\nd\ne').stats).toEqual({ insertions: 2, deletions: 1 });
+    expect(diffWithStats('the quick fox', 'the slow red fox', { mode: 'word' }).stats)
+      .toEqual({ insertions: 3, deletions: 1 });
+  });
+
+  it('should give up on texts that differ too much', () => {
+    const lines = (prefix) => Array.from({ length: MAX_EDIT_DISTANCE }, (_, i) => `${prefix}${i}`).join('\n');
+
+    expect(diffText(lines('old'), lines('new'))).toBeNull();
+    expect(diffWithStats(lines('old'), lines('new'))).toBeNull();
+    expect(diffText(lines('same'), `${lines('same')}\nextra`)).toHaveLength(2);
+  });
+});
@@ -0,0 +1,40 @@
+const { sendMail } = require('../../src/utils/mailer');
+const { logger } = require('../../src/utils/logger');
+
+describe('Mailer', () => {
+  const originalEnv = process.env.NODE_ENV;
+  const message = {
+    to: 'test@example.com',
+    subject: 'Reset your password',
+    text: 'Open http://localhost:3000/reset-password/secret-token',
+  };
+
+  beforeEach(() => {
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env.NODE_ENV = originalEnv;
+    jest.restoreAllMocks();
+  });
+
+  it('should log the full message with the console transport in development', async () => {
+    process.env.NODE_ENV = 'development';
+
+    const result = await sendMail(message);
+
+    expect(result).toEqual({ delivered: true, transport: 'console' });
+    expect(logger.info).toHaveBeenCalledWith('Outgoing mail', expect.objectContaining({ text: message.text }));
+  });
+
+  it('should not log message bodies in production', async () => {
+    process.env.NODE_ENV = 'production';
+
+    const result = await sendMail(message);
+
+    expect(result.delivered).toBe(false);
+    expect(logger.info).not.toHaveBeenCalled();
+    expect(logger.warn).toHaveBeenCalledWith(expect.any(String), { to: message.to, subject: message.subject });
+  });
+});
@@ -0,0 +1,46 @@
+const { renderMarkdown, createExcerpt } = require('../../src/utils/markdown');
+
+describe('Markdown utilities', () => {
+  it('should render Markdown to HTML', () => {
+    const html = renderMarkdown('# Title\n\nSome **bold** text');
+
+    expect(html).toContain('<h1>Title</h1>');
+    expect(html).toContain('<strong>bold</strong>');
+  });
+
+  it('should keep syntax highlight classes on code blocks', () => {
+    const html = renderMarkdown('```js\nconst a = 1 < 2;\n```');
+
+    expect(html).toContain('<code class="language-js">const a = 1 &lt; 2;');
+  });
+
+  it('should strip scripts and event handlers', () => {
+    const html = renderMarkdown('<script>alert(1)</script>\n\n<img src="x.png" onerror="alert(1)">');
+
+    expect(html).not.toContain('<script');
+    expect(html).not.toContain('onerror');
+    expect(html).toContain('<img src="x.png" />');
+  });
+
+  it('should strip unsafe URLs', () => {
+    const html = renderMarkdown('[a](javascript:alert(1)) [b](data:text/html,hi) [c](https://example.com)');
+
+    expect(html).not.toContain('javascript:');
+    expect(html).not.toContain('data:');
+    expect(html).toContain('href="https://example.com"');
+    expect(html).toContain('rel="noopener noreferrer nofollow"');
+  });
+
+  it('should drop disallowed tags and classes', () => {
+    const html = renderMarkdown('<iframe src="https://example.com"></iframe><p class="evil" style="color:red">hi</p>');
+
+    expect(html).not.toContain('<iframe');
+    expect(html).not.toContain('class=');
+    expect(html).not.toContain('style=');
+  });
+
+  it('should create a plain-text excerpt', () => {
+    expect(createExcerpt('<h1>Title</h1><p>Fish &amp; chips</p>')).toBe('Title Fish & chips');
+    expect(createExcerpt(`<p>${'word '.repeat(100)}</p>`, 20)).toBe('word word word word…');
+  });
+});
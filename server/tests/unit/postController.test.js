@@ -4,6 +4,10 @@ const app = require('../../src/app');
 const User = require('../../src/models/User');
 const Post = require('../../src/models/Post');
 const Category = require('../../src/models/Category');
+const config = require('../../src/config');
+const PostRevision = require('../../src/models/PostRevision');
+const { publishScheduledPosts } = require('../../src/utils/scheduledPosts');
+const { purgeExpiredTrash } = require('../../src/utils/trash');
 
 describe('Post Controller', () => {
   let token;
@@ -16,11 +20,12 @@ describe('Post Controller', () => {
     await Post.deleteMany({});
     await Category.deleteMany({});
 
-    // Create test user
+    // Create test author, who may publish
     user = await User.create({
       username: 'testuser',
       email: 'test@example.com',
       password: 'Password123',
+      role: 'author',
     });
 
     // Create test category
@@ -75,7 +80,59 @@ describe('Post Controller', () => {
       expect(response.body.data.posts).toHaveLength(1);
     });
 
+    it('should filter posts by any or all tags', async () => {
+      await Post.create([
+        {
+          title: 'Tagged Post A',
+          content: 'Content for a post with several tags',
+          author: user._id,
+          category: category._id,
+          tags: ['react', 'hooks'],
+        },
+        {
+          title: 'Tagged Post B',
+          content: 'Content for a post with a single tag',
+          author: user._id,
+          category: category._id,
+          tags: ['react'],
+        },
+      ]);
+
+      const any = await request(app)
+        .get('/api/posts?tags=Hooks,react')
+        .expect(200);
+      expect(any.body.data.posts).toHaveLength(2);
+
+      const all = await request(app)
+        .get('/api/posts?tags=hooks,react&tagMatch=all')
+        .expect(200);
+      expect(all.body.data.posts.map(post => post.title)).toEqual(['Tagged Post A']);
+    });
+
+    it('should include subcategory posts when requested', async () => {
+      const javascript = await Category.create({ name: 'JavaScript', parent: category._id });
+      const react = await Category.create({ name: 'React', parent: javascript._id });
+      await Post.create({
+        title: 'Hooks in Depth',
+        content: 'Content for a post filed under a nested category',
+        author: user._id,
+        category: react._id,
+        status: 'published',
+      });
+
+      const direct = await request(app)
+        .get(`/api/posts?category=${category._id}`)
+        .expect(200);
+      expect(direct.body.data.posts).toHaveLength(1);
+
+      const nested = await request(app)
+        .get(`/api/posts?category=${category._id}&includeDescendants=true`)
+        .expect(200);
+      expect(nested.body.data.posts.map(post => post.title).sort()).toEqual(['Hooks in Depth', 'Post 1']);
+    });
+
     it('should search posts by title and content', async () => {
+      await Post.init();
       const response = await request(app)
         .get('/api/posts?search=post%201')
         .expect(200);
@@ -85,6 +142,72 @@ describe('Post Controller', () => {
       expect(response.body.data.posts[0].title).toBe('Post 1');
     });
 
+    describe('search', () => {
+      beforeEach(async () => {
+        // Make sure the text index exists before running $text queries
+        await Post.init();
+        await Post.create([
+          {
+            title: 'Learning React Hooks',
+            content: 'A practical guide to state and effects in function components.',
+            author: user._id,
+            category: category._id,
+            tags: ['javascript'],
+          },
+          {
+            title: 'Weekend Baking',
+            content: 'Nothing about React here except this one mention of react.',
+            author: user._id,
+            category: category._id,
+          },
+        ]);
+      });
+
+      it('should rank title matches above content matches', async () => {
+        const response = await request(app)
+          .get('/api/posts?search=react')
+          .expect(200);
+
+        expect(response.body.data.search.mode).toBe('text');
+        expect(response.body.data.posts.map(post => post.title)).toEqual(['Learning React Hooks', 'Weekend Baking']);
+        expect(response.body.data.posts[0].score).toBeGreaterThan(response.body.data.posts[1].score);
+      });
+
+      it('should return highlighted titles and snippets', async () => {
+        const response = await request(app)
+          .get('/api/posts?search=hooks')
+          .expect(200);
+
+        const [post] = response.body.data.posts;
+        expect(post.highlight.title).toBe('Learning React <mark>Hooks</mark>');
+        expect(post.highlight.snippet).toContain('A practical guide');
+      });
+
+      it('should fall back to substring matching for partial words', async () => {
+        const response = await request(app)
+          .get('/api/posts?search=bak')
+          .expect(200);
+
+        expect(response.body.data.search.mode).toBe('fallback');
+        expect(response.body.data.posts).toHaveLength(1);
+        expect(response.body.data.posts[0].highlight.title).toBe('Weekend <mark>Baking</mark>');
+      });
+
+      it('should treat regex characters in the query literally', async () => {
+        const response = await request(app)
+          .get(`/api/posts?search=${encodeURIComponent('(a+)+$')}`)
+          .expect(200);
+
+        expect(response.body.data.posts).toHaveLength(0);
+      });
+
+      it('should reject overly long queries', async () => {
+        await request(app)
+          .get(`/api/posts?search=${'a'.repeat(101)}`)
+          .expect(400);
+      });
+    });
+
     it('should paginate results', async () => {
       // Create more posts
       await Post.create([
@@ -151,6 +274,197 @@ describe('Post Controller', () => {
     });
   });
 
+  describe('Slugs', () => {
+    const createPost = (title, overrides = {}) => Post.create({
+      title,
+      content: 'This is a longer content that meets the minimum length requirement for validation',
+      author: user._id,
+      category: category._id,
+      status: 'published',
+      ...overrides,
+    });
+
+    it('should suffix slugs of posts with the same title', async () => {
+      const first = await createPost('Same Title');
+      const second = await createPost('Same Title');
+      const third = await createPost('Same Title');
+
+      expect(first.slug).toBe('same-title');
+      expect(second.slug).toBe('same-title-2');
+      expect(third.slug).toBe('same-title-3');
+    });
+
+    it('should give concurrent posts with the same title distinct slugs', async () => {
+      await Post.init();
+
+      const responses = await Promise.all([1, 2, 3].map(() => request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          title: 'Same Title',
+          content: 'This is a longer content that meets the minimum length requirement for validation',
+          category: category._id.toString(),
+        })));
+
+      expect(responses.map(response => response.status)).toEqual([201, 201, 201]);
+      expect(responses.map(response => response.body.data.post.slug).sort())
+        .toEqual(['same-title', 'same-title-2', 'same-title-3']);
+    });
+
+    it('should not reuse the slug of a trashed post', async () => {
+      const trashed = await createPost('Same Title');
+      await trashed.moveToTrash(user._id);
+
+      const post = await createPost('Same Title');
+
+      expect(post.slug).toBe('same-title-2');
+    });
+
+    it('should transliterate non-ASCII titles', async () => {
+      const post = await createPost('Crème brûlée');
+
+      expect(post.slug).toBe('creme-brulee');
+    });
+
+    it('should regenerate the slug on title change and keep the old one', async () => {
+      const post = await createPost('Original Title');
+
+      const response = await request(app)
+        .put(`/api/posts/${post._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Renamed Title' })
+        .expect(200);
+
+      expect(response.body.data.post.slug).toBe('renamed-title');
+      expect(response.body.data.post.previousSlugs).toEqual(['original-title']);
+    });
+
+    it('should keep the slug when the title change does not affect it', async () => {
+      const post = await createPost('Original Title');
+
+      const response = await request(app)
+        .put(`/api/posts/${post._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Original title!' })
+        .expect(200);
+
+      expect(response.body.data.post.slug).toBe('original-title');
+      expect(response.body.data.post.previousSlugs).toEqual([]);
+    });
+
+    it('should not hand out a slug kept for redirects', async () => {
+      const post = await createPost('Original Title');
+      post.title = 'Renamed Title';
+      await post.save();
+
+      const newPost = await createPost('Original Title');
+
+      expect(newPost.slug).toBe('original-title-2');
+    });
+
+    it('should get a post by slug', async () => {
+      await createPost('Readable Link');
+
+      const response = await request(app)
+        .get('/api/posts/slug/readable-link')
+        .expect(200);
+
+      expect(response.body.data.post.title).toBe('Readable Link');
+      expect(response.body.data.post.views).toBe(1);
+      expect(response.body.data).not.toHaveProperty('redirect');
+    });
+
+    it('should return a redirect hint for an old slug', async () => {
+      const post = await createPost('Original Title');
+      post.title = 'Renamed Title';
+      await post.save();
+
+      const response = await request(app)
+        .get('/api/posts/slug/original-title')
+        .expect(200);
+
+      expect(response.body.data.redirect).toEqual({ from: 'original-title', to: 'renamed-title' });
+      expect(response.body.data.post.views).toBe(0);
+    });
+
+    it('should hide unpublished posts by slug from other users', async () => {
+      await createPost('Secret Draft', { status: 'draft' });
+
+      await request(app)
+        .get('/api/posts/slug/secret-draft')
+        .expect(404);
+
+      await request(app)
+        .get('/api/posts/slug/secret-draft')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+    });
+
+    it('should return 404 for an unknown slug', async () => {
+      const response = await request(app)
+        .get('/api/posts/slug/no-such-post')
+        .expect(404);
+
+      expect(response.body.message).toBe('Post not found');
+    });
+  });
+
+  describe('Markdown content', () => {
+    it('should store sanitised HTML and an excerpt on create', async () => {
+      const response = await request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          title: 'Markdown Post',
+          content: '## Intro\n\nSome **bold** text <script>alert(1)</script>\n\n```js\nconst a = 1;\n```',
+          category: category._id.toString(),
+        })
+        .expect(201);
+
+      const { post } = response.body.data;
+      expect(post.contentHtml).toContain('<h2>Intro</h2>');
+      expect(post.contentHtml).toContain('<code class="language-js">');
+      expect(post.contentHtml).not.toContain('<script');
+      expect(post.excerpt).toBe('Intro Some bold text const a = 1;');
+    });
+
+    it('should re-render HTML when the content is updated', async () => {
+      const post = await Post.create({
+        title: 'Markdown Post',
+        content: 'Original *content* here',
+        author: user._id,
+        category: category._id,
+      });
+
+      const response = await request(app)
+        .put(`/api/posts/${post._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ content: 'Updated **content** here' })
+        .expect(200);
+
+      expect(response.body.data.post.contentHtml).toBe('<p>Updated <strong>content</strong> here</p>\n');
+    });
+
+    it('should preview Markdown without saving', async () => {
+      const response = await request(app)
+        .post('/api/posts/preview')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ content: '[link](javascript:alert(1)) and _emphasis_' })
+        .expect(200);
+
+      expect(response.body.data.contentHtml).toContain('<em>emphasis</em>');
+      expect(response.body.data.contentHtml).not.toContain('javascript:');
+      expect(await Post.countDocuments()).toBe(0);
+    });
+
+    it('should require authentication to preview', async () => {
+      await request(app)
+        .post('/api/posts/preview')
+        .send({ content: 'Hello' })
+        .expect(401);
+    });
+  });
+
   describe('POST /api/posts', () => {
     it('should create new post with valid data', async () => {
       const postData = {
@@ -197,6 +511,36 @@ describe('Post Controller', () => {
       expect(response.body).toHaveProperty('errors');
     });
 
+    it('should reject content over the maximum length', async () => {
+      const response = await request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Very Long Post', content: 'a'.repeat(50001), category: category._id })
+        .expect(400);
+
+      expect(response.body.errors[0].field).toBe('content');
+    });
+
+    it('should block unverified users when email verification is required', async () => {
+      config.requireEmailVerification = true;
+
+      try {
+        const response = await request(app)
+          .post('/api/posts')
+          .set('Authorization', `Bearer ${token}`)
+          .send({
+            title: 'New Post',
+            content: 'This is new post content',
+            category: category._id,
+          })
+          .expect(403);
+
+        expect(response.body.message).toBe('Please verify your email address before continuing.');
+      } finally {
+        config.requireEmailVerification = false;
+      }
+    });
+
     it('should not create post with invalid category', async () => {
       const fakeCategoryId = new mongoose.Types.ObjectId();
       const postData = {
@@ -216,6 +560,241 @@ describe('Post Controller', () => {
     });
   });
 
+  describe('Drafts and scheduled publishing', () => {
+    const inOneDay = () => new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+    it('should create a draft without a publish date', async () => {
+      const response = await request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          title: 'Draft Post',
+          content: 'Work in progress content',
+          category: category._id.toString(),
+          status: 'draft',
+        })
+        .expect(201);
+
+      expect(response.body.data.post.status).toBe('draft');
+      expect(response.body.data.post.publishedAt).toBeNull();
+    });
+
+    it('should schedule a post for a future date', async () => {
+      const publishedAt = inOneDay();
+
+      const response = await request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          title: 'Scheduled Post',
+          content: 'Content that goes live tomorrow',
+          category: category._id.toString(),
+          status: 'scheduled',
+          publishedAt,
+        })
+        .expect(201);
+
+      expect(response.body.data.post.status).toBe('scheduled');
+      expect(response.body.data.post.publishedAt).toBe(publishedAt);
+    });
+
+    it('should reject scheduling in the past', async () => {
+      await request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          title: 'Scheduled Post',
+          content: 'Content that should have gone live',
+          category: category._id.toString(),
+          status: 'scheduled',
+          publishedAt: '2020-01-01T00:00:00.000Z',
+        })
+        .expect(400);
+    });
+
+    it('should set the publish date when a draft is published', async () => {
+      const draft = await Post.create({
+        title: 'Draft Post',
+        content: 'Work in progress content',
+        author: user._id,
+        category: category._id,
+        status: 'draft',
+      });
+
+      const response = await request(app)
+        .put(`/api/posts/${draft._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'published' })
+        .expect(200);
+
+      expect(response.body.data.post.status).toBe('published');
+      expect(response.body.data.post.publishedAt).toBeTruthy();
+
+      const updatedCategory = await Category.findById(category._id);
+      expect(updatedCategory.postCount).toBe(1);
+    });
+
+    describe('as a user without post:publish', () => {
+      let writerToken;
+
+      beforeEach(async () => {
+        const writer = await User.create({
+          username: 'writer',
+          email: 'writer@example.com',
+          password: 'Password123',
+        });
+        const jwt = require('jsonwebtoken');
+        writerToken = jwt.sign({ userId: writer._id }, process.env.JWT_SECRET || 'your-secret-key-change-in-production');
+      });
+
+      it('should save new posts as drafts by default', async () => {
+        const response = await request(app)
+          .post('/api/posts')
+          .set('Authorization', `Bearer ${writerToken}`)
+          .send({
+            title: 'Draft Post',
+            content: 'Work in progress content',
+            category: category._id.toString(),
+          })
+          .expect(201);
+
+        expect(response.body.data.post.status).toBe('draft');
+      });
+
+      it('should not publish or schedule posts', async () => {
+        const response = await request(app)
+          .post('/api/posts')
+          .set('Authorization', `Bearer ${writerToken}`)
+          .send({
+            title: 'Published Post',
+            content: 'Content that should not go live',
+            category: category._id.toString(),
+            status: 'published',
+          })
+          .expect(403);
+
+        expect(response.body.message).toBe('Not authorized to publish posts');
+
+        await request(app)
+          .post('/api/posts')
+          .set('Authorization', `Bearer ${writerToken}`)
+          .send({
+            title: 'Scheduled Post',
+            content: 'Content that should not go live',
+            category: category._id.toString(),
+            status: 'scheduled',
+            publishedAt: inOneDay(),
+          })
+          .expect(403);
+      });
+
+      it('should not publish an existing draft', async () => {
+        const created = await request(app)
+          .post('/api/posts')
+          .set('Authorization', `Bearer ${writerToken}`)
+          .send({
+            title: 'Draft Post',
+            content: 'Work in progress content',
+            category: category._id.toString(),
+          })
+          .expect(201);
+
+        await request(app)
+          .put(`/api/posts/${created.body.data.post._id}`)
+          .set('Authorization', `Bearer ${writerToken}`)
+          .send({ status: 'published' })
+          .expect(403);
+      });
+    });
+
+    it('should publish scheduled posts once they are due', async () => {
+      const due = await Post.create({
+        title: 'Due Post',
+        content: 'Content that is due now',
+        author: user._id,
+        category: category._id,
+        status: 'scheduled',
+        publishedAt: new Date(Date.now() - 1000),
+      });
+      const future = await Post.create({
+        title: 'Future Post',
+        content: 'Content that is not due yet',
+        author: user._id,
+        category: category._id,
+        status: 'scheduled',
+        publishedAt: inOneDay(),
+      });
+
+      const count = await publishScheduledPosts();
+
+      expect(count).toBe(1);
+      expect((await Post.findById(due._id)).status).toBe('published');
+      expect((await Post.findById(future._id)).status).toBe('scheduled');
+      expect((await Category.findById(category._id)).postCount).toBe(1);
+    });
+
+    it('should hide unpublished posts from other users', async () => {
+      const draft = await Post.create({
+        title: 'Draft Post',
+        content: 'Work in progress content',
+        author: user._id,
+        category: category._id,
+        status: 'draft',
+      });
+
+      await request(app)
+        .get(`/api/posts/${draft._id}`)
+        .expect(404);
+
+      await request(app)
+        .get(`/api/posts/${draft._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+    });
+  });
+
+  describe('GET /api/posts/mine', () => {
+    beforeEach(async () => {
+      const anotherUser = await User.create({
+        username: 'anotheruser',
+        email: 'another@example.com',
+        password: 'Password123',
+      });
+
+      await Post.create([
+        { title: 'My Draft', content: 'Draft content here', author: user._id, category: category._id, status: 'draft' },
+        { title: 'My Published', content: 'Published content here', author: user._id, category: category._id, status: 'published' },
+        { title: 'Their Draft', content: 'Someone elses draft', author: anotherUser._id, category: category._id, status: 'draft' },
+      ]);
+    });
+
+    it('should return only the current user posts in any status', async () => {
+      const response = await request(app)
+        .get('/api/posts/mine')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.posts).toHaveLength(2);
+      expect(response.body.data.pagination.total).toBe(2);
+    });
+
+    it('should filter by status', async () => {
+      const response = await request(app)
+        .get('/api/posts/mine?status=draft')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.posts).toHaveLength(1);
+      expect(response.body.data.posts[0].title).toBe('My Draft');
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .get('/api/posts/mine')
+        .expect(401);
+    });
+  });
+
   describe('PUT /api/posts/:id', () => {
     let post;
 
@@ -270,6 +849,27 @@ describe('Post Controller', () => {
       expect(response.body.message).toBe('Not authorized to update this post');
     });
 
+    it('should allow editors to update posts of other users', async () => {
+      const editor = await User.create({
+        username: 'editoruser',
+        email: 'editor@example.com',
+        password: 'Password123',
+        role: 'editor',
+      });
+
+      const jwt = require('jsonwebtoken');
+      const editorToken = jwt.sign({ userId: editor._id }, process.env.JWT_SECRET || 'your-secret-key-change-in-production');
+
+      const response = await request(app)
+        .put(`/api/posts/${post._id}`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .send({ title: 'Edited Title' })
+        .expect(200);
+
+      expect(response.body.data.post.title).toBe('Edited Title');
+      expect(response.body.data.post.author._id).toBe(user._id.toString());
+    });
+
     it('should return 404 for non-existent post', async () => {
       const fakeId = new mongoose.Types.ObjectId();
 
@@ -306,7 +906,7 @@ describe('Post Controller', () => {
       expect(response.body.success).toBe(true);
       expect(response.body.message).toBe('Post deleted successfully');
 
-      // Verify post is deleted
+      // Verify post is hidden from normal queries
       const deletedPost = await Post.findById(post._id);
       expect(deletedPost).toBeNull();
     });
@@ -330,5 +930,239 @@ describe('Post Controller', () => {
       expect(response.body.success).toBe(false);
       expect(response.body.message).toBe('Not authorized to delete this post');
     });
+
+    it('should not allow editors to delete posts of other users', async () => {
+      const editor = await User.create({
+        username: 'editoruser',
+        email: 'editor@example.com',
+        password: 'Password123',
+        role: 'editor',
+      });
+
+      const jwt = require('jsonwebtoken');
+      const editorToken = jwt.sign({ userId: editor._id }, process.env.JWT_SECRET || 'your-secret-key-change-in-production');
+
+      await request(app)
+        .delete(`/api/posts/${post._id}`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('Trash', () => {
+    let post;
+
+    const signToken = (userId) => {
+      const jwt = require('jsonwebtoken');
+      return jwt.sign({ userId }, process.env.JWT_SECRET || 'your-secret-key-change-in-production');
+    };
+
+    beforeEach(async () => {
+      post = await Post.create({
+        title: 'Post to Trash',
+        content: 'This is a longer content that meets the minimum length requirement for validation',
+        author: user._id,
+        category: category._id,
+        status: 'published',
+      });
+      await category.updatePostCount();
+    });
+
+    it('should keep deleted posts in the trash and update the category count', async () => {
+      const response = await request(app)
+        .delete(`/api/posts/${post._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveProperty('purgeAt');
+
+      const trashed = await Post.findById(post._id).setOptions({ withDeleted: true });
+      expect(trashed.deletedAt).toBeInstanceOf(Date);
+      expect(trashed.deletedBy.toString()).toBe(user._id.toString());
+      expect((await Category.findById(category._id)).postCount).toBe(0);
+
+      await request(app).get(`/api/posts/${post._id}`).expect(404);
+      const listResponse = await request(app).get('/api/posts').expect(200);
+      expect(listResponse.body.data.posts).toHaveLength(0);
+    });
+
+    it('should list only the current user\'s trashed posts', async () => {
+      const otherUser = await User.create({
+        username: 'otheruser',
+        email: 'other@example.com',
+        password: 'Password123',
+      });
+      const otherPost = await Post.create({
+        title: 'Other Post',
+        content: 'This is a longer content that meets the minimum length requirement for validation',
+        author: otherUser._id,
+        category: category._id,
+      });
+      await post.moveToTrash(user._id);
+      await otherPost.moveToTrash(otherUser._id);
+
+      const response = await request(app)
+        .get('/api/posts/trash')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.posts).toHaveLength(1);
+      expect(response.body.data.posts[0].title).toBe('Post to Trash');
+      expect(response.body.data.posts[0]).toHaveProperty('purgeAt');
+    });
+
+    it('should let admins see everyone\'s trash', async () => {
+      const admin = await User.create({
+        username: 'adminuser',
+        email: 'admin@example.com',
+        password: 'Password123',
+        role: 'admin',
+      });
+      await post.moveToTrash(user._id);
+
+      const response = await request(app)
+        .get('/api/posts/trash')
+        .set('Authorization', `Bearer ${signToken(admin._id)}`)
+        .expect(200);
+
+      expect(response.body.data.posts).toHaveLength(1);
+    });
+
+    it('should restore a trashed post and update the category count', async () => {
+      await post.moveToTrash(user._id);
+      await category.updatePostCount();
+
+      const response = await request(app)
+        .post(`/api/posts/${post._id}/restore`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.message).toBe('Post restored successfully');
+      expect(response.body.data.post.deletedAt).toBeNull();
+      expect(await Post.findById(post._id)).not.toBeNull();
+      expect((await Category.findById(category._id)).postCount).toBe(1);
+    });
+
+    it('should not restore another user\'s post', async () => {
+      const otherUser = await User.create({
+        username: 'otheruser',
+        email: 'other@example.com',
+        password: 'Password123',
+      });
+      await post.moveToTrash(user._id);
+
+      const response = await request(app)
+        .post(`/api/posts/${post._id}/restore`)
+        .set('Authorization', `Bearer ${signToken(otherUser._id)}`)
+        .expect(403);
+
+      expect(response.body.message).toBe('Not authorized to manage this post');
+    });
+
+    it('should return 404 when restoring a post that is not in the trash', async () => {
+      const response = await request(app)
+        .post(`/api/posts/${post._id}/restore`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+
+      expect(response.body.message).toBe('Post not found in trash');
+    });
+
+    it('should permanently delete a trashed post and its revisions', async () => {
+      await PostRevision.record(post, user._id);
+      await post.moveToTrash(user._id);
+
+      await request(app)
+        .delete(`/api/posts/trash/${post._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(await Post.findById(post._id).setOptions({ withDeleted: true })).toBeNull();
+      expect(await PostRevision.countDocuments({ post: post._id })).toBe(0);
+    });
+
+    it('should purge posts past the retention period', async () => {
+      const now = new Date();
+      const expired = new Date(now.getTime() - (config.trash.retentionDays + 1) * 24 * 60 * 60 * 1000);
+      const recentPost = await Post.create({
+        title: 'Recently Trashed',
+        content: 'This is a longer content that meets the minimum length requirement for validation',
+        author: user._id,
+        category: category._id,
+      });
+      await Post.updateOne({ _id: post._id }, { deletedAt: expired });
+      await recentPost.moveToTrash(user._id);
+
+      const purged = await purgeExpiredTrash(now);
+
+      expect(purged).toBe(1);
+      expect(await Post.findById(post._id).setOptions({ withDeleted: true })).toBeNull();
+      expect(await Post.findById(recentPost._id).setOptions({ withDeleted: true })).not.toBeNull();
+    });
+  });
+
+  describe('DELETE /api/posts/:id/comments/:commentId', () => {
+    let post;
+    let comment;
+    let commenterToken;
+
+    beforeEach(async () => {
+      const commenter = await User.create({
+        username: 'commenter',
+        email: 'commenter@example.com',
+        password: 'Password123',
+      });
+
+      const jwt = require('jsonwebtoken');
+      commenterToken = jwt.sign({ userId: commenter._id }, process.env.JWT_SECRET || 'your-secret-key-change-in-production');
+
+      post = await Post.create({
+        title: 'Post with Comments',
+        content: 'This post has a comment that may need moderating',
+        author: user._id,
+        category: category._id,
+        status: 'published',
+      });
+      await post.addComment(commenter._id, 'Spam comment');
+      comment = post.comments[0];
+    });
+
+    it('should let the comment author delete their comment', async () => {
+      const response = await request(app)
+        .delete(`/api/posts/${post._id}/comments/${comment._id}`)
+        .set('Authorization', `Bearer ${commenterToken}`)
+        .expect(200);
+
+      expect(response.body.data.comments).toBe(0);
+    });
+
+    it('should not let other users delete the comment', async () => {
+      const response = await request(app)
+        .delete(`/api/posts/${post._id}/comments/${comment._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+
+      expect(response.body.message).toBe('Not authorized to delete this comment');
+    });
+
+    it('should let moderators delete any comment', async () => {
+      const moderator = await User.create({
+        username: 'moderator',
+        email: 'moderator@example.com',
+        password: 'Password123',
+        role: 'moderator',
+      });
+
+      const jwt = require('jsonwebtoken');
+      const moderatorToken = jwt.sign({ userId: moderator._id }, process.env.JWT_SECRET || 'your-secret-key-change-in-production');
+
+      await request(app)
+        .delete(`/api/posts/${post._id}/comments/${comment._id}`)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .expect(200);
+
+      const stored = await Post.findById(post._id);
+      expect(stored.comments).toHaveLength(0);
+    });
   });
 });
@@ -0,0 +1,179 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const PostRevision = require('../../src/models/PostRevision');
+const Category = require('../../src/models/Category');
+const { generateToken } = require('../../src/utils/auth');
+
+describe('Revision Controller', () => {
+  let user;
+  let token;
+  let category;
+  let postId;
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Post.deleteMany({});
+    await PostRevision.deleteMany({});
+    await Category.deleteMany({});
+
+    user = await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'Password123',
+      role: 'author',
+    });
+    token = generateToken(user._id);
+
+    category = await Category.create({
+      name: 'Technology',
+      description: 'Tech related posts',
+    });
+
+    const response = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        title: 'Original Title',
+        content: 'First line\nSecond line\nThird line',
+        category: category._id.toString(),
+        tags: ['javascript'],
+      })
+      .expect(201);
+    postId = response.body.data.post._id;
+
+    await request(app)
+      .put(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        title: 'Edited Title',
+        content: 'First line\nChanged line\nThird line',
+        tags: ['javascript', 'react'],
+      })
+      .expect(200);
+  });
+
+  describe('GET /api/posts/:id/revisions', () => {
+    it('should list revisions newest first', async () => {
+      const response = await request(app)
+        .get(`/api/posts/${postId}/revisions`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const { revisions } = response.body.data;
+      expect(revisions.map(revision => revision.revision)).toEqual([2, 1]);
+      expect(revisions[0].title).toBe('Edited Title');
+      expect(revisions[0].editor.username).toBe('testuser');
+    });
+
+    it('should number revisions from concurrent edits uniquely', async () => {
+      await PostRevision.init();
+      const post = await Post.findById(postId);
+
+      const recorded = await Promise.all(['Concurrent edit A', 'Concurrent edit B'].map((title) => {
+        post.title = title;
+        return PostRevision.record(post.toObject(), user._id);
+      }));
+
+      expect(recorded.map(revision => revision.revision).sort()).toEqual([3, 4]);
+    });
+
+    it('should not record a revision when nothing tracked changed', async () => {
+      await request(app)
+        .put(`/api/posts/${postId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'draft' })
+        .expect(200);
+
+      expect(await PostRevision.countDocuments({ post: postId })).toBe(2);
+    });
+
+    it('should not show revisions to other users', async () => {
+      const anotherUser = await User.create({
+        username: 'anotheruser',
+        email: 'another@example.com',
+        password: 'Password123',
+      });
+
+      await request(app)
+        .get(`/api/posts/${postId}/revisions`)
+        .set('Authorization', `Bearer ${generateToken(anotherUser._id)}`)
+        .expect(403);
+    });
+  });
+
+  describe('GET /api/posts/:id/revisions/diff', () => {
+    it('should diff two revisions', async () => {
+      const response = await request(app)
+        .get(`/api/posts/${postId}/revisions/diff?from=1&to=2`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const { content, stats, tags } = response.body.data;
+      expect(content).toEqual([
+        { type: 'equal', value: 'First line' },
+        { type: 'delete', value: 'Second line' },
+        { type: 'insert', value: 'Changed line' },
+        { type: 'equal', value: 'Third line' },
+      ]);
+      expect(stats).toEqual({ insertions: 1, deletions: 1 });
+      expect(tags).toEqual({ added: ['react'], removed: [] });
+    });
+
+    it('should report revisions too different to diff', async () => {
+      const lines = (prefix) => Array.from({ length: 2500 }, (_, i) => `${prefix} ${i}`).join('\n');
+      for (const content of [lines('old'), lines('new')]) {
+        await request(app)
+          .put(`/api/posts/${postId}`)
+          .set('Authorization', `Bearer ${token}`)
+          .send({ content })
+          .expect(200);
+      }
+
+      const response = await request(app)
+        .get(`/api/posts/${postId}/revisions/diff?from=3&to=4`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.contentTooLarge).toBe(true);
+      expect(response.body.data.content).toBeNull();
+      expect(response.body.data.stats).toBeNull();
+    });
+
+    it('should return 404 for unknown revisions', async () => {
+      await request(app)
+        .get(`/api/posts/${postId}/revisions/diff?from=1&to=9`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+    });
+  });
+
+  describe('POST /api/posts/:id/revisions/:rev/restore', () => {
+    it('should restore an earlier revision as a new revision', async () => {
+      const response = await request(app)
+        .post(`/api/posts/${postId}/revisions/1/restore`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.post.title).toBe('Original Title');
+      expect(response.body.data.revision).toBe(3);
+
+      const post = await Post.findById(postId);
+      expect(post.content).toBe('First line\nSecond line\nThird line');
+      expect(post.tags).toEqual(['javascript']);
+
+      const latest = await PostRevision.findOne({ post: postId, revision: 3 });
+      expect(latest.restoredFrom).toBe(1);
+    });
+  });
+
+  it('should delete revisions with the post', async () => {
+    await request(app)
+      .delete(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(await PostRevision.countDocuments({ post: postId })).toBe(0);
+  });
+});
@@ -0,0 +1,30 @@
+const { getSearchTerms, highlight, buildSnippet } = require('../../src/utils/search');
+
+describe('Search utilities', () => {
+  it('should split queries into unique lowercase terms', () => {
+    expect(getSearchTerms('React <Hooks> react!')).toEqual(['react', 'hooks']);
+    expect(getSearchTerms('(a+)+$')).toEqual(['a']);
+  });
+
+  it('should highlight whole words starting with a term', () => {
+    expect(highlight('Running with React', ['run', 'react'])).toBe('<mark>Running</mark> with <mark>React</mark>');
+    expect(highlight('React acts', ['act'])).toBe('React <mark>acts</mark>');
+  });
+
+  it('should escape HTML around highlights', () => {
+    expect(highlight('<b>React</b> & co', ['react'])).toBe('&lt;b&gt;<mark>React</mark>&lt;/b&gt; &amp; co');
+  });
+
+  it('should build a snippet around the first match', () => {
+    const text = `${'filler words here '.repeat(20)}all about React hooks${' and more text'.repeat(20)}`;
+    const snippet = buildSnippet(text, ['hooks'], 80);
+
+    expect(snippet).toContain('<mark>hooks</mark>');
+    expect(snippet.startsWith('… ')).toBe(true);
+    expect(snippet.endsWith(' …')).toBe(true);
+  });
+
+  it('should return short text whole', () => {
+    expect(buildSnippet('Short React text', ['react'])).toBe('Short <mark>React</mark> text');
+  });
+});
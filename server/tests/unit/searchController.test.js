@@ -0,0 +1,117 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Category = require('../../src/models/Category');
+
+describe('Search Controller', () => {
+  let user;
+  let category;
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Post.deleteMany({});
+    await Category.deleteMany({});
+
+    user = await User.create({
+      username: 'reactfan',
+      email: 'fan@example.com',
+      password: 'Password123',
+    });
+
+    category = await Category.create({
+      name: 'React',
+      description: 'All things React',
+    });
+
+    await Post.create([
+      {
+        title: 'Learning React Hooks',
+        content: 'A practical guide to hooks in function components.',
+        author: user._id,
+        category: category._id,
+        tags: ['react', 'reactivity'],
+        views: 10,
+      },
+      {
+        title: 'Why we React to news',
+        content: 'Content for the second post here.',
+        author: user._id,
+        category: category._id,
+        tags: ['react'],
+      },
+      {
+        title: 'React Draft',
+        content: 'This draft should never be suggested.',
+        author: user._id,
+        category: category._id,
+        status: 'draft',
+      },
+    ]);
+  });
+
+  describe('GET /api/search/suggest', () => {
+    it('should return a ranked mix of suggestions', async () => {
+      const response = await request(app)
+        .get('/api/search/suggest?q=react')
+        .expect(200);
+
+      const { suggestions } = response.body.data;
+      const labels = suggestions.map(suggestion => `${suggestion.type}:${suggestion.label}`);
+
+      // Exact matches first, then prefix matches, then later-word matches;
+      // ties go by type and then popularity
+      expect(labels).toEqual([
+        'tag:react',
+        'category:React',
+        'tag:reactivity',
+        'author:reactfan',
+        'post:Learning React Hooks',
+        'post:Why we React to news',
+      ]);
+      expect(labels).not.toContain('post:React Draft');
+    });
+
+    it('should include what the client needs to navigate', async () => {
+      const response = await request(app)
+        .get('/api/search/suggest?q=hooks')
+        .expect(200);
+
+      expect(response.body.data.suggestions).toEqual([
+        expect.objectContaining({ type: 'post', label: 'Learning React Hooks', slug: 'learning-react-hooks' }),
+      ]);
+    });
+
+    it('should count tag usage', async () => {
+      const response = await request(app)
+        .get('/api/search/suggest?q=react')
+        .expect(200);
+
+      const tag = response.body.data.suggestions.find(suggestion => suggestion.label === 'react' && suggestion.type === 'tag');
+      expect(tag.count).toBe(2);
+    });
+
+    it('should respect the limit and be cacheable', async () => {
+      const response = await request(app)
+        .get('/api/search/suggest?q=re&limit=2')
+        .expect(200);
+
+      expect(response.body.data.suggestions).toHaveLength(2);
+      expect(response.headers['cache-control']).toBe('public, max-age=60');
+    });
+
+    it('should treat regex characters literally', async () => {
+      const response = await request(app)
+        .get(`/api/search/suggest?q=${encodeURIComponent('.*')}`)
+        .expect(200);
+
+      expect(response.body.data.suggestions).toHaveLength(0);
+    });
+
+    it('should require a query', async () => {
+      await request(app)
+        .get('/api/search/suggest')
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Session = require('../../src/models/Session');
+const config = require('../../src/config');
+
+describe('Session Controller', () => {
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Session.deleteMany({});
+
+    await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'Password123',
+    });
+  });
+
+  const loginUser = async (userAgent = 'jest-agent') => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .set('User-Agent', userAgent)
+      .send({ email: 'test@example.com', password: 'Password123' })
+      .expect(200);
+
+    return response.body.data;
+  };
+
+  describe('GET /api/auth/sessions', () => {
+    it('should record each login as a session', async () => {
+      const { token } = await loginUser('Firefox');
+      await loginUser('Safari');
+
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const { sessions } = response.body.data;
+      expect(sessions).toHaveLength(2);
+      expect(sessions.map(session => session.userAgent).sort()).toEqual(['Firefox', 'Safari']);
+      expect(sessions.filter(session => session.current)).toHaveLength(1);
+      expect(sessions[0]).toHaveProperty('ip');
+      expect(sessions[0]).toHaveProperty('lastSeenAt');
+    });
+  });
+
+  describe('DELETE /api/auth/sessions/:id', () => {
+    it('should revoke another session and its tokens', async () => {
+      const current = await loginUser('Firefox');
+      const other = await loginUser('Safari');
+
+      const list = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${current.token}`)
+        .expect(200);
+      const target = list.body.data.sessions.find(session => session.userAgent === 'Safari');
+
+      await request(app)
+        .delete(`/api/auth/sessions/${target.id}`)
+        .set('Authorization', `Bearer ${current.token}`)
+        .expect(200);
+
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${other.token}`)
+        .expect(401);
+      expect(me.body.message).toBe('Session has been revoked.');
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: other.refreshToken })
+        .expect(401);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${current.token}`)
+        .expect(200);
+    });
+
+    it('should not revoke sessions of other users', async () => {
+      const { token } = await loginUser();
+      const otherUser = await User.create({
+        username: 'otheruser',
+        email: 'other@example.com',
+        password: 'Password123',
+      });
+      const otherSession = await Session.create({
+        user: otherUser._id,
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      });
+
+      await request(app)
+        .delete(`/api/auth/sessions/${otherSession._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+    });
+  });
+
+  describe('Last-seen tracking', () => {
+    it('should throttle last-seen updates', async () => {
+      const { token } = await loginUser();
+      const [session] = await Session.find({});
+
+      const staleTime = new Date(Date.now() - (config.sessionTouchIntervalMinutes + 1) * 60 * 1000);
+      await Session.updateOne({ _id: session._id }, { lastSeenAt: staleTime });
+
+      await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`).expect(200);
+      const touched = await Session.findById(session._id);
+      expect(touched.lastSeenAt.getTime()).toBeGreaterThan(staleTime.getTime());
+
+      await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`).expect(200);
+      const untouched = await Session.findById(session._id);
+      expect(untouched.lastSeenAt.getTime()).toBe(touched.lastSeenAt.getTime());
+    });
+  });
+});
@@ -0,0 +1,30 @@
+const { slugify, MAX_SLUG_LENGTH } = require('../../src/utils/slug');
+
+describe('Slug utilities', () => {
+  it('should lowercase and hyphenate titles', () => {
+    expect(slugify('Hello World!')).toBe('hello-world');
+    expect(slugify('  Multiple   spaces -- and dashes  ')).toBe('multiple-spaces-and-dashes');
+  });
+
+  it('should transliterate accented Latin letters', () => {
+    expect(slugify('Crème brûlée & Straße')).toBe('creme-brulee-and-strasse');
+    expect(slugify('Łódź über Ærø')).toBe('lodz-uber-aero');
+  });
+
+  it('should transliterate Cyrillic and Greek', () => {
+    expect(slugify('Привет мир')).toBe('privet-mir');
+    expect(slugify('Καλημέρα κόσμε')).toBe('kalimera-kosme');
+  });
+
+  it('should fall back when nothing can be transliterated', () => {
+    expect(slugify('日本語')).toBe('post');
+    expect(slugify('')).toBe('post');
+  });
+
+  it('should limit slug length without a trailing hyphen', () => {
+    const slug = slugify('word '.repeat(40));
+
+    expect(slug.length).toBeLessThanOrEqual(MAX_SLUG_LENGTH);
+    expect(slug.endsWith('-')).toBe(false);
+  });
+});
@@ -0,0 +1,128 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Category = require('../../src/models/Category');
+
+const signToken = (userId) => jwt.sign({ userId }, process.env.JWT_SECRET || 'your-secret-key-change-in-production');
+
+describe('Tag Controller', () => {
+  let adminToken;
+  let userToken;
+  let posts;
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Post.deleteMany({});
+    await Category.deleteMany({});
+
+    const admin = await User.create({
+      username: 'adminuser',
+      email: 'admin@example.com',
+      password: 'Password123',
+      role: 'admin',
+    });
+    const user = await User.create({
+      username: 'regularuser',
+      email: 'user@example.com',
+      password: 'Password123',
+    });
+    adminToken = signToken(admin._id);
+    userToken = signToken(user._id);
+
+    const category = await Category.create({ name: 'Technology' });
+    const content = 'This is a longer content that meets the minimum length requirement';
+
+    posts = await Post.create([
+      { title: 'Hooks Guide', content, author: user._id, category: category._id, tags: ['react', 'js'] },
+      { title: 'Node Streams', content, author: user._id, category: category._id, tags: ['node', 'javascript'] },
+      { title: 'Event Loop', content, author: user._id, category: category._id, tags: ['js', 'node'] },
+      { title: 'Draft Notes', content, author: user._id, category: category._id, tags: ['react'], status: 'draft' },
+    ]);
+  });
+
+  describe('GET /api/tags', () => {
+    it('should count tags on published posts', async () => {
+      const response = await request(app)
+        .get('/api/tags')
+        .expect(200);
+
+      expect(response.body.data.tags).toEqual([
+        { name: 'js', count: 2 },
+        { name: 'node', count: 2 },
+        { name: 'javascript', count: 1 },
+        { name: 'react', count: 1 },
+      ]);
+    });
+
+    it('should filter tags by prefix', async () => {
+      const response = await request(app)
+        .get('/api/tags?q=J')
+        .expect(200);
+
+      expect(response.body.data.tags.map(tag => tag.name)).toEqual(['js', 'javascript']);
+    });
+
+    it('should not count trashed posts', async () => {
+      await posts[0].moveToTrash();
+
+      const response = await request(app)
+        .get('/api/tags?sort=name')
+        .expect(200);
+
+      expect(response.body.data.tags.map(tag => tag.name)).toEqual(['javascript', 'js', 'node']);
+    });
+  });
+
+  describe('PUT /api/tags/:tag', () => {
+    it('should rename a tag on every post', async () => {
+      const response = await request(app)
+        .put('/api/tags/react')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'ReactJS' })
+        .expect(200);
+
+      expect(response.body.data).toEqual({ from: 'react', to: 'reactjs', updatedPosts: 2 });
+      expect((await Post.findById(posts[0]._id)).tags).toEqual(['reactjs', 'js']);
+    });
+
+    it('should return 404 for unused tags', async () => {
+      await request(app)
+        .put('/api/tags/rust')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'rustlang' })
+        .expect(404);
+    });
+
+    it('should not let regular users rename tags', async () => {
+      await request(app)
+        .put('/api/tags/react')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ name: 'reactjs' })
+        .expect(403);
+    });
+  });
+
+  describe('POST /api/tags/merge', () => {
+    it('should merge tags without duplicating them on a post', async () => {
+      const response = await request(app)
+        .post('/api/tags/merge')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ tags: ['js'], into: 'javascript' })
+        .expect(200);
+
+      expect(response.body.data.updatedPosts).toBe(2);
+      expect((await Post.findById(posts[0]._id)).tags).toEqual(['react', 'javascript']);
+      expect((await Post.findById(posts[2]._id)).tags).toEqual(['javascript', 'node']);
+    });
+
+    it('should require a tag other than the target', async () => {
+      await request(app)
+        .post('/api/tags/merge')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ tags: ['javascript'], into: 'javascript' })
+        .expect(400);
+    });
+  });
+});
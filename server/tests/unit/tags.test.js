@@ -0,0 +1,20 @@
+const { normalizeTag, parseTagList, buildTagRenamePipeline } = require('../../src/utils/tags');
+
+describe('Tag utils', () => {
+  it('should normalise tags to trimmed lowercase', () => {
+    expect(normalizeTag('  React Hooks ')).toBe('react hooks');
+  });
+
+  it('should parse comma-separated tag lists without blanks or duplicates', () => {
+    expect(parseTagList('react, Hooks,,REACT ')).toEqual(['react', 'hooks']);
+    expect(parseTagList(undefined)).toEqual([]);
+  });
+
+  it('should build a rename pipeline that treats tags literally', () => {
+    const [stage] = buildTagRenamePipeline(['$js'], 'javascript');
+    const mapping = stage.$set.tags.$reduce.input.$map.in;
+
+    expect(mapping.$cond[0].$in[1]).toEqual({ $literal: ['$js'] });
+    expect(mapping.$cond[1]).toEqual({ $literal: 'javascript' });
+  });
+});
@@ -0,0 +1,55 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+  generateBackupCodes,
+} = require('../../src/utils/totp');
+
+describe('TOTP utilities', () => {
+  // RFC 6238 appendix B test secret (ASCII "12345678901234567890")
+  const secret = base32Encode(Buffer.from('12345678901234567890'));
+
+  it('should round-trip base32 encoding', () => {
+    expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode(secret).toString()).toBe('12345678901234567890');
+  });
+
+  it('should match the RFC 6238 reference values', () => {
+    expect(generateTotp(secret, 59 * 1000)).toBe('287082');
+    expect(generateTotp(secret, 1111111109 * 1000)).toBe('081804');
+    expect(generateTotp(secret, 2000000000 * 1000)).toBe('279037');
+  });
+
+  it('should accept codes within one step of clock drift', () => {
+    const time = 1111111109 * 1000;
+    const previousCode = generateTotp(secret, time - 30 * 1000);
+
+    expect(verifyTotp(secret, previousCode, { time })).not.toBeNull();
+    expect(verifyTotp(secret, generateTotp(secret, time - 90 * 1000), { time })).toBeNull();
+  });
+
+  it('should reject malformed codes', () => {
+    expect(verifyTotp(secret, 'abcdef')).toBeNull();
+    expect(verifyTotp(secret, '12345')).toBeNull();
+    expect(verifyTotp(secret, undefined)).toBeNull();
+  });
+
+  it('should build an otpauth URI', () => {
+    const uri = buildOtpauthUri({ secret, accountName: 'test@example.com', issuer: 'MERN Blog' });
+
+    expect(uri).toBe(
+      `otpauth://totp/MERN%20Blog%3Atest%40example.com?secret=${secret}`
+      + '&issuer=MERN%20Blog&algorithm=SHA1&digits=6&period=30'
+    );
+  });
+
+  it('should generate unique backup codes', () => {
+    const codes = generateBackupCodes();
+
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    codes.forEach(code => expect(code).toMatch(/^[a-f0-9]{4}-[a-f0-9]{4}$/));
+  });
+});
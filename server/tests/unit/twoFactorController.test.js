@@ -0,0 +1,189 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+const { generateTotp } = require('../../src/utils/totp');
+
+describe('Two-Factor Controller', () => {
+  let user;
+  let token;
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+
+    user = await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'Password123',
+    });
+    token = generateToken(user._id);
+  });
+
+  // Enrol the user and return the secret and backup codes
+  const enrol = async () => {
+    const setup = await request(app)
+      .post('/api/auth/2fa/setup')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    const { secret } = setup.body.data;
+
+    // Use the previous step so the code used during login isn't a replay
+    const enable = await request(app)
+      .post('/api/auth/2fa/enable')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: generateTotp(secret, Date.now() - 30 * 1000) })
+      .expect(200);
+
+    return { secret, backupCodes: enable.body.data.backupCodes };
+  };
+
+  const passwordLogin = async () => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'test@example.com', password: 'Password123' })
+      .expect(200);
+
+    return response.body.data;
+  };
+
+  describe('Enrolment', () => {
+    it('should return a secret and otpauth URI on setup', async () => {
+      const response = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.secret).toMatch(/^[A-Z2-7]+$/);
+      expect(response.body.data.otpauthUri).toMatch(/^otpauth:\/\/totp\//);
+    });
+
+    it('should enable two-factor with a valid code and return backup codes', async () => {
+      const { backupCodes } = await enrol();
+
+      expect(backupCodes).toHaveLength(10);
+
+      const stored = await User.findById(user._id);
+      expect(stored.twoFactor.enabled).toBe(true);
+      expect(stored.twoFactor.backupCodes).not.toContain(backupCodes[0]);
+    });
+
+    it('should not enable two-factor with an invalid code', async () => {
+      await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: '000000' })
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_TWO_FACTOR_CODE');
+    });
+  });
+
+  describe('Two-step login', () => {
+    it('should return a challenge instead of tokens when two-factor is enabled', async () => {
+      await enrol();
+
+      const data = await passwordLogin();
+
+      expect(data.twoFactorRequired).toBe(true);
+      expect(data).toHaveProperty('challengeToken');
+      expect(data).not.toHaveProperty('token');
+    });
+
+    it('should not accept the challenge token as an access token', async () => {
+      await enrol();
+      const { challengeToken } = await passwordLogin();
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${challengeToken}`)
+        .expect(401);
+    });
+
+    it('should complete login with a valid TOTP code', async () => {
+      const { secret } = await enrol();
+      const { challengeToken } = await passwordLogin();
+
+      const response = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken, code: generateTotp(secret) })
+        .expect(200);
+
+      expect(response.body.message).toBe('Login successful');
+      expect(response.body.data).toHaveProperty('token');
+      expect(response.body.data).toHaveProperty('refreshToken');
+    });
+
+    it('should accept each backup code only once', async () => {
+      const { backupCodes } = await enrol();
+
+      let { challengeToken } = await passwordLogin();
+      await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken, code: backupCodes[0] })
+        .expect(200);
+
+      ({ challengeToken } = await passwordLogin());
+      const response = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken, code: backupCodes[0] })
+        .expect(401);
+
+      expect(response.body.code).toBe('INVALID_TWO_FACTOR_CODE');
+    });
+
+    it('should accept a backup code only once when used in parallel', async () => {
+      const { backupCodes } = await enrol();
+      const challenges = await Promise.all([passwordLogin(), passwordLogin()]);
+
+      const responses = await Promise.all(challenges.map(({ challengeToken }) => request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken, code: backupCodes[0] })));
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 401]);
+      const stored = await User.findById(user._id);
+      expect(stored.twoFactor.backupCodes).toHaveLength(9);
+    });
+
+    it('should accept a TOTP code only once when used in parallel', async () => {
+      const { secret } = await enrol();
+      const challenges = await Promise.all([passwordLogin(), passwordLogin()]);
+      const code = generateTotp(secret);
+
+      const responses = await Promise.all(challenges.map(({ challengeToken }) => request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken, code })));
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 401]);
+    });
+
+    it('should reject an invalid challenge token', async () => {
+      const response = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken: token, code: '123456' })
+        .expect(401);
+
+      expect(response.body.code).toBe('INVALID_CHALLENGE');
+    });
+  });
+
+  describe('POST /api/auth/2fa/disable', () => {
+    it('should disable two-factor with password and code', async () => {
+      const { backupCodes } = await enrol();
+
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'Password123', code: backupCodes[0] })
+        .expect(200);
+
+      const data = await passwordLogin();
+      expect(data).toHaveProperty('token');
+    });
+  });
+});
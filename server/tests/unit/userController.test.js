@@ -0,0 +1,90 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Category = require('../../src/models/Category');
+
+describe('User Controller', () => {
+  let user;
+  let category;
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Post.deleteMany({});
+    await Category.deleteMany({});
+
+    user = await User.create({
+      username: 'janedoe',
+      email: 'jane@example.com',
+      password: 'Password123',
+      profile: {
+        firstName: 'Jane',
+        lastName: 'Doe',
+        bio: 'Writes about JavaScript',
+      },
+    });
+
+    category = await Category.create({
+      name: 'Technology',
+      description: 'Tech related posts',
+    });
+  });
+
+  describe('GET /api/users/:username', () => {
+    beforeEach(async () => {
+      const reader = await User.create({
+        username: 'reader',
+        email: 'reader@example.com',
+        password: 'Password123',
+      });
+
+      await Post.create([
+        {
+          title: 'Published Post',
+          content: 'Content for the published post',
+          author: user._id,
+          category: category._id,
+          status: 'published',
+          likes: [{ user: reader._id }],
+        },
+        {
+          title: 'Draft Post',
+          content: 'Content for the draft post',
+          author: user._id,
+          category: category._id,
+          status: 'draft',
+        },
+      ]);
+    });
+
+    it('should return the public profile with stats', async () => {
+      const response = await request(app)
+        .get('/api/users/janedoe')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.author.username).toBe('janedoe');
+      expect(response.body.data.author.profile.firstName).toBe('Jane');
+      expect(response.body.data.author.email).toBeUndefined();
+      expect(response.body.data.stats).toEqual({ postCount: 1, totalLikes: 1 });
+      expect(response.body.data.recentPosts).toHaveLength(1);
+      expect(response.body.data.recentPosts[0].title).toBe('Published Post');
+    });
+
+    it('should return 404 for unknown users', async () => {
+      const response = await request(app)
+        .get('/api/users/nobody')
+        .expect(404);
+
+      expect(response.body.message).toBe('User not found');
+    });
+
+    it('should return 404 for deactivated users', async () => {
+      await User.updateOne({ _id: user._id }, { isActive: false });
+
+      await request(app)
+        .get('/api/users/janedoe')
+        .expect(404);
+    });
+  });
+});